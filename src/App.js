@@ -1,32 +1,110 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Button, Card, Navbar, Nav, Alert, Spinner, Form } from 'react-bootstrap';
-import { Home as HomeIcon, Search, BarChart3, Info, HelpCircle, AlertTriangle, Settings, CheckCircle } from 'lucide-react';
+import { Container, Row, Col, Button, Card, Navbar, Nav, Alert, Spinner, Form, Table, Badge } from 'react-bootstrap';
+import { Home as HomeIcon, Search, BarChart3, Info, HelpCircle, AlertTriangle, Settings, CheckCircle, LogOut } from 'lucide-react';
 
 // Components
 import AppErrorBoundary from './components/ErrorBoundary';
 import FileUpload from './components/FileUpload';
+import BatchQueue from './components/BatchQueue';
 import ResultsVisualization from './components/ResultsVisualization';
 import AudioCalibration from './components/AudioCalibration';
+import LoginForm from './components/LoginForm';
 
 // Hooks and services
-import { useBackendStatus, useFileAnalysis, useAudioCalibration } from './hooks/useApi';
+import { useAuth, useBackendStatus, useBackends, useBatchAnalysis, useFileAnalysis, useAudioCalibration, useImagePreprocessing, useMockBackend, useSupportedFormats, useVideoSampling, useAudioSegmentation, useAudioQualitySettings } from './hooks/useApi';
+import { AuthenticationError } from './services/errors';
+import { MOCK_SCENARIOS } from './services/mockBackend';
 import { FileType } from './types/api';
+import { AGGREGATION_STRATEGIES, AggregationStrategy, MIN_SEGMENTED_SECONDS, SEGMENT_SECONDS } from './utils/audioSegments';
+import { DEFAULT_MAX_IMAGE_DIMENSION } from './utils/imagePreprocess';
+import { isVideoFile } from './utils/video';
 
 function App() {
   const [currentPage, setCurrentPage] = useState('home');
-  const { status: backendStatus, isConnected, error: backendError, modelsStatus } = useBackendStatus();
-  const { analyzeFile, resetAnalysis, cancelAnalysis, canCancel, ...analysisState } = useFileAnalysis();
+  const { status: backendStatus, isConnected, error: backendError, modelsStatus, health } = useBackendStatus();
+  const { analyzeFile, analyzeUrl, rerunAnalysis, resumeJob, discardJob, showResult, resetAnalysis, cancelAnalysis, canCancel, pendingJobs, ...analysisState } = useFileAnalysis();
   const { config: audioConfig } = useAudioCalibration();
+  const batch = useBatchAnalysis();
+  const { backends, pinnedBackendId, activeBackend, pinBackend } = useBackends();
+  const mockBackend = useMockBackend();
+  const imagePreprocessing = useImagePreprocessing();
+  const videoSampling = useVideoSampling();
+  const audioSegmentation = useAudioSegmentation();
+  const audioQuality = useAudioQualitySettings();
+  const { formats: supportedFormats } = useSupportedFormats();
+  const { authRequired, authMode, isAuthenticated, sessionExpired, login, loginWithApiKey, logout } = useAuth();
+
+  // A file whose analysis was interrupted by an expired session
+  const fileAwaitingAuth = analysisState.apiError instanceof AuthenticationError
+    ? analysisState.uploadedFile
+    : undefined;
   const [showCalibration, setShowCalibration] = useState(false);
 
+  // Use audio calibration config for audio files
+  // Videos use the calibration's threshold and uncertainty range to combine frame scores
+  const getConfigFor = (file) => (file.type.startsWith('audio/') || isVideoFile(file) ? audioConfig : undefined);
+
   // Handle file analysis
-  const handleFileSelect = async (file) => {
-    // Use audio calibration config for audio files
-    const config = file.type.startsWith('audio/') ? audioConfig : undefined;
-    await analyzeFile(file, config);
+  const handleFileSelect = async (file, { selection, capture } = {}) => {
+    const result = await analyzeFile(file, getConfigFor(file), { selection, capture });
+    // Stay on the detector so errors and their remediation hints are visible
+    if (result) {
+      setCurrentPage('result');
+    }
+  };
+
+  // Several files dropped at once go through the batch queue
+  const handleFilesSelect = (files) => {
+    batch.addFiles(files.map(file => ({ file, config: getConfigFor(file) })));
+  };
+
+  // Media linked from e.g. a tip-line message
+  const handleUrlSubmit = async (url) => {
+    const result = await analyzeUrl(url, getConfigFor);
+    if (result) {
+      setCurrentPage('result');
+    }
+  };
+
+  const handleViewBatchResult = (item) => {
+    showResult(item.file, item.config, item.result, { isCached: item.isCached, cachedAt: item.cachedAt });
     setCurrentPage('result');
   };
 
+  // Ignore a locally cached result and send the file to the backend again
+  const handleRerun = async () => {
+    setCurrentPage('detector');
+    const result = await rerunAnalysis();
+    if (result) {
+      setCurrentPage('result');
+    }
+  };
+
+  // Pick up a detection job submitted before the page was reloaded
+  const handleResumeJob = async (job) => {
+    const result = await resumeJob(job);
+    if (result) {
+      setCurrentPage('result');
+    }
+  };
+
+  // After signing in, pick up the analysis that was interrupted by a 401
+  const handleLoggedIn = async () => {
+    if (fileAwaitingAuth) {
+      await handleRerun();
+    }
+  };
+
+  const handleLogin = async (username, password) => {
+    await login(username, password);
+    await handleLoggedIn();
+  };
+
+  const handleApiKeyLogin = async (apiKey) => {
+    await loginWithApiKey(apiKey);
+    await handleLoggedIn();
+  };
+
   const handleFileRemove = () => {
     resetAnalysis();
     setCurrentPage('detector');
@@ -51,6 +129,16 @@ function App() {
             <span className={`small ${isConnected ? 'text-success' : 'text-danger'}`}>
               {backendStatus}
             </span>
+            {mockBackend.enabled && (
+              <Badge bg="warning" text="dark" className="ms-2" title="Results come from the built-in mock backend">
+                DEMO
+              </Badge>
+            )}
+            {backends.length > 1 && activeBackend && (
+              <span className="small text-muted ms-2" title={activeBackend.url}>
+                via {activeBackend.name}{pinnedBackendId ? ' (pinned)' : ''}
+              </span>
+            )}
           </div>
         </Navbar.Brand>
         
@@ -93,6 +181,12 @@ function App() {
               <HelpCircle size={16} className="me-1" />
               Help
             </Nav.Link>
+            {authRequired && isAuthenticated && (
+              <Nav.Link className="text-heading" onClick={logout}>
+                <LogOut size={16} className="me-1" />
+                Sign out
+              </Nav.Link>
+            )}
           </Nav>
         </Navbar.Collapse>
       </Container>
@@ -177,13 +271,15 @@ function App() {
                       </div>
                     </Col>
                     <Col md={4} className="text-center">
-                      <div className={`mb-2 ${modelsStatus.video ? 'text-success' : 'text-danger'}`}>
-                        {modelsStatus.video ? <CheckCircle size={32} /> : <AlertTriangle size={32} />}
+                      <div className={`mb-2 ${modelsStatus.video || modelsStatus.image ? 'text-success' : 'text-danger'}`}>
+                        {modelsStatus.video || modelsStatus.image ? <CheckCircle size={32} /> : <AlertTriangle size={32} />}
                       </div>
                       <div className="text-heading">Video Model</div>
-                      <div className="text-muted small">Coming Soon</div>
-                      <div className="text-warning">
-                        Not Available
+                      <div className="text-muted small">
+                        {modelsStatus.video ? 'Native' : 'Frame sampling via the image model'}
+                      </div>
+                      <div className={modelsStatus.video || modelsStatus.image ? 'text-success' : 'text-danger'}>
+                        {modelsStatus.video || modelsStatus.image ? 'Ready' : 'Not Available'}
                       </div>
                     </Col>
                   </Row>
@@ -237,15 +333,53 @@ function App() {
           </Col>
         </Row>
         
+        {/* Jobs that were still running when the page was last closed */}
+        {pendingJobs.length > 0 && !analysisState.isAnalyzing && (
+          <Row className="mb-4">
+            <Col lg={8} className="mx-auto">
+              <Alert variant="info">
+                <Alert.Heading className="h6">Unfinished detection jobs</Alert.Heading>
+                {pendingJobs.map((job) => (
+                  <div key={job.job_id} className="d-flex justify-content-between align-items-center mt-2">
+                    <span>
+                      {job.file_name}
+                      <span className="text-muted small ms-2">
+                        submitted {new Date(job.submitted_at).toLocaleString()}
+                      </span>
+                    </span>
+                    <span>
+                      <Button size="sm" className="btn-gradient me-2" onClick={() => handleResumeJob(job)}>
+                        Resume
+                      </Button>
+                      <Button size="sm" variant="outline-secondary" onClick={() => discardJob(job.job_id)}>
+                        Discard
+                      </Button>
+                    </span>
+                  </div>
+                ))}
+              </Alert>
+            </Col>
+          </Row>
+        )}
+
         <Row>
           <Col lg={8} className="mx-auto">
             <FileUpload
               onFileSelect={handleFileSelect}
+              onFilesSelect={handleFilesSelect}
+              onUrlSubmit={handleUrlSubmit}
               onFileRemove={handleFileRemove}
               uploadedFile={analysisState.uploadedFile}
+              fileWarnings={analysisState.fileWarnings}
               isAnalyzing={analysisState.isAnalyzing}
               progress={analysisState.progress}
+              jobStatus={analysisState.jobStatus}
+              stepProgress={analysisState.stepProgress}
+              isCached={analysisState.isCached}
+              onRerun={handleRerun}
               error={analysisState.error}
+              apiError={analysisState.apiError}
+              onRetry={handleRerun}
               result={analysisState.result ? {
                 detection_result: analysisState.result.detection_result,
                 confidence_score: analysisState.result.confidence_score,
@@ -264,6 +398,22 @@ function App() {
                 </Button>
               </div>
             )}
+
+            <BatchQueue
+              items={batch.items}
+              summary={batch.summary}
+              isPaused={batch.isPaused}
+              concurrency={batch.concurrency}
+              onConcurrencyChange={batch.setConcurrency}
+              onPause={batch.pause}
+              onResume={batch.resume}
+              onCancel={batch.cancelItem}
+              onRetry={batch.retryItem}
+              onRemove={batch.removeItem}
+              onClear={batch.clearBatch}
+              onView={handleViewBatchResult}
+              className="mt-4"
+            />
           </Col>
         </Row>
         
@@ -356,8 +506,22 @@ function App() {
             </Col>
           </Row>
           
+          {analysisState.isCached && (
+            <Alert variant="info" className="d-flex justify-content-between align-items-center">
+              <span>
+                <Info size={16} className="me-2" />
+                This file was analyzed before on {new Date(analysisState.cachedAt).toLocaleString()}.
+                Showing the saved result.
+              </span>
+              <Button size="sm" variant="outline-info" onClick={handleRerun}>
+                Re-run anyway
+              </Button>
+            </Alert>
+          )}
+
           <ResultsVisualization 
             result={analysisState.result}
+            file={analysisState.uploadedFile}
             className="mb-4"
           />
           
@@ -407,6 +571,230 @@ function App() {
           </Col>
         </Row>
         
+        <Row>
+          <Col lg={8} className="mx-auto">
+            <Card className="bg-card border-subtle shadow mb-4">
+              <Card.Header>
+                <Card.Title className="text-heading mb-0">Image Preprocessing</Card.Title>
+              </Card.Header>
+              <Card.Body>
+                <Form.Check
+                  type="switch"
+                  id="image-downscale"
+                  label={`Downscale large images to ${supportedFormats?.max_image_dimension || DEFAULT_MAX_IMAGE_DIMENSION} px before upload`}
+                  checked={imagePreprocessing.settings.downscale}
+                  onChange={(e) => imagePreprocessing.setSettings({ downscale: e.target.checked })}
+                  className="text-heading mb-2"
+                />
+                <Form.Text className="text-muted d-block mb-3">
+                  {supportedFormats?.max_image_dimension
+                    ? 'The backend resizes images to this size anyway, so smaller uploads give the same result faster.'
+                    : 'The backend does not advertise an input size; a conservative default is used.'}
+                </Form.Text>
+                <Form.Check
+                  type="switch"
+                  id="image-strip-metadata"
+                  label="Remove EXIF, GPS and other metadata before upload"
+                  checked={imagePreprocessing.settings.stripMetadata}
+                  onChange={(e) => imagePreprocessing.setSettings({ stripMetadata: e.target.checked })}
+                  className="text-heading mb-2"
+                />
+                <Form.Text className="text-muted d-block">
+                  Keeps camera details and location out of the upload. JPEG and PNG pixels are left untouched unless the image is
+                  downscaled; other formats are re-encoded. Images the browser cannot decode are sent unchanged, and the result says so.
+                </Form.Text>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+
+        <Row>
+          <Col lg={8} className="mx-auto">
+            <Card className="bg-card border-subtle shadow mb-4">
+              <Card.Header>
+                <Card.Title className="text-heading mb-0">Long Audio Segmentation</Card.Title>
+              </Card.Header>
+              <Card.Body>
+                <Form.Check
+                  type="switch"
+                  id="audio-segmentation"
+                  label={`Analyze audio longer than ${MIN_SEGMENTED_SECONDS} seconds in ${SEGMENT_SECONDS}-second windows`}
+                  checked={audioSegmentation.settings.enabled}
+                  onChange={(e) => audioSegmentation.setSettings({ enabled: e.target.checked })}
+                  className="text-heading mb-2"
+                />
+                <Form.Text className="text-muted d-block mb-3">
+                  The audio model looks at {SEGMENT_SECONDS} seconds at a time, so one verdict for a long call can hide a cloned
+                  passage. Each window is sent separately and the result shows a timeline of where the fake speech is. Files that
+                  go through job mode or a chunked upload are still sent whole.
+                </Form.Text>
+                <Row>
+                  <Col md={4}>
+                    <Form.Group controlId="audio-segment-overlap" className="mb-3">
+                      <Form.Label className="text-heading">Window overlap</Form.Label>
+                      <Form.Select
+                        className="bg-main text-muted border-subtle"
+                        value={audioSegmentation.settings.overlap}
+                        disabled={!audioSegmentation.settings.enabled}
+                        onChange={(e) => audioSegmentation.setSettings({ overlap: Number(e.target.value) })}
+                      >
+                        {[0, 0.25, 0.5, 0.75].map((overlap) => (
+                          <option key={overlap} value={overlap}>{overlap * 100}%</option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  <Col md={8}>
+                    <Form.Group controlId="audio-segment-strategy" className="mb-3">
+                      <Form.Label className="text-heading">Overall verdict</Form.Label>
+                      <Form.Select
+                        className="bg-main text-muted border-subtle"
+                        value={audioSegmentation.settings.strategy}
+                        disabled={!audioSegmentation.settings.enabled}
+                        onChange={(e) => audioSegmentation.setSettings({ strategy: e.target.value })}
+                      >
+                        {AGGREGATION_STRATEGIES.map((strategy) => (
+                          <option key={strategy.value} value={strategy.value}>
+                            {strategy.label} - {strategy.description}
+                          </option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                </Row>
+                {audioSegmentation.settings.strategy === AggregationStrategy.SHARE && (
+                  <Form.Group controlId="audio-segment-share">
+                    <Form.Label className="text-heading">
+                      Fake when at least {Math.round(audioSegmentation.settings.minFakeShare * 100)}% of windows are above the threshold
+                    </Form.Label>
+                    <Form.Range
+                      min={0.05}
+                      max={0.5}
+                      step={0.05}
+                      value={audioSegmentation.settings.minFakeShare}
+                      disabled={!audioSegmentation.settings.enabled}
+                      onChange={(e) => audioSegmentation.setSettings({ minFakeShare: Number(e.target.value) })}
+                    />
+                  </Form.Group>
+                )}
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+
+        <Row>
+          <Col lg={8} className="mx-auto">
+            <Card className="bg-card border-subtle shadow mb-4">
+              <Card.Header>
+                <Card.Title className="text-heading mb-0">Audio Quality Checks</Card.Title>
+              </Card.Header>
+              <Card.Body>
+                <Form.Text className="text-muted d-block mb-3">
+                  Silence, clipping, level and a rough signal-to-noise ratio are measured in the browser for every audio file.
+                  The audio model is unreliable on poor input, so low-quality clips are flagged in the preview and the result.
+                </Form.Text>
+                <Form.Check
+                  type="switch"
+                  id="audio-auto-select-speech"
+                  label="Select only the speech in previewed audio"
+                  checked={audioQuality.settings.autoSelectSpeech}
+                  onChange={(e) => audioQuality.setSettings({ autoSelectSpeech: e.target.checked })}
+                  className="text-heading mb-2"
+                />
+                <Form.Text className="text-muted d-block">
+                  Pauses and silence are left out and the speech regions joined into one clip. The selection can be changed before
+                  analyzing.
+                </Form.Text>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+
+        <Row>
+          <Col lg={8} className="mx-auto">
+            <Card className="bg-card border-subtle shadow mb-4">
+              <Card.Header>
+                <Card.Title className="text-heading mb-0">Video Frame Sampling</Card.Title>
+              </Card.Header>
+              <Card.Body>
+                <Row>
+                  <Col md={6}>
+                    <Form.Group controlId="video-frames-per-second" className="mb-3">
+                      <Form.Label className="text-heading">Frames per second</Form.Label>
+                      <Form.Select
+                        className="bg-main text-muted border-subtle"
+                        value={videoSampling.settings.framesPerSecond}
+                        onChange={(e) => videoSampling.setSettings({ framesPerSecond: Number(e.target.value) })}
+                      >
+                        {[0.5, 1, 2, 5].map((rate) => (
+                          <option key={rate} value={rate}>{rate}</option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  <Col md={6}>
+                    <Form.Group controlId="video-max-frames" className="mb-3">
+                      <Form.Label className="text-heading">Maximum frames per video</Form.Label>
+                      <Form.Select
+                        className="bg-main text-muted border-subtle"
+                        value={videoSampling.settings.maxFrames}
+                        onChange={(e) => videoSampling.setSettings({ maxFrames: Number(e.target.value) })}
+                      >
+                        {[20, 60, 120, 300].map((count) => (
+                          <option key={count} value={count}>{count}</option>
+                        ))}
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                </Row>
+                <Form.Text className="text-muted d-block">
+                  Each sampled frame is sent to the image model. Longer videos are sampled evenly across their
+                  length once the maximum is reached.
+                </Form.Text>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+
+        <Row>
+          <Col lg={8} className="mx-auto">
+            <Card className="bg-card border-subtle shadow mb-4">
+              <Card.Header>
+                <Card.Title className="text-heading mb-0">Demo Mode</Card.Title>
+              </Card.Header>
+              <Card.Body>
+                <Form.Check
+                  type="switch"
+                  id="mock-backend"
+                  label="Use the built-in mock backend"
+                  checked={mockBackend.enabled}
+                  onChange={(e) => mockBackend.setEnabled(e.target.checked)}
+                  className="text-heading mb-2"
+                />
+                <Form.Text className="text-muted d-block mb-3">
+                  Serves deterministic results in the browser, so the detector works without a running backend.
+                  Demo results are never cached.
+                </Form.Text>
+                <Form.Group controlId="mock-scenario">
+                  <Form.Label className="text-heading">Scenario</Form.Label>
+                  <Form.Select
+                    className="bg-main text-muted border-subtle"
+                    value={mockBackend.scenario}
+                    disabled={!mockBackend.enabled}
+                    onChange={(e) => mockBackend.setScenario(e.target.value)}
+                  >
+                    {MOCK_SCENARIOS.map((scenario) => (
+                      <option key={scenario.value} value={scenario.value}>
+                        {scenario.label} - {scenario.description}
+                      </option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Card.Body>
+            </Card>
+          </Col>
+        </Row>
+
         <Row>
           <Col lg={8} className="mx-auto">
             <Card className="bg-card border-subtle shadow">
@@ -423,6 +811,12 @@ function App() {
                     {backendStatus}
                   </span>
                 </div>
+
+                {health?.warnings?.length > 0 && (
+                  <Alert variant="warning" className="small">
+                    <strong>Incomplete health response:</strong> {health.warnings.join(' ')}
+                  </Alert>
+                )}
                 
                 {modelsStatus && (
                   <div className="mb-3">
@@ -434,13 +828,61 @@ function App() {
                       <div className={`mb-1 ${modelsStatus.image ? 'text-success' : 'text-danger'}`}>
                         Image Model (EfficientNet-B0): {modelsStatus.image ? 'Loaded' : 'Not Available'}
                       </div>
-                      <div className={`mb-1 ${modelsStatus.video ? 'text-success' : 'text-warning'}`}>
-                        Video Model: {modelsStatus.video ? 'Loaded' : 'Not Implemented'}
+                      <div className={`mb-1 ${modelsStatus.video || modelsStatus.image ? 'text-success' : 'text-warning'}`}>
+                        Video Model: {modelsStatus.video ? 'Loaded' : modelsStatus.image ? 'Frame sampling via the image model' : 'Not Available'}
                       </div>
                     </div>
                   </div>
                 )}
                 
+                <div className="mb-3">
+                  <strong className="text-heading">Backends:</strong>
+                  <Table responsive size="sm" className="table-dark mt-2 mb-2">
+                    <thead>
+                      <tr>
+                        <th>Name</th>
+                        <th>URL</th>
+                        <th>Health</th>
+                        <th>Latency</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {backends.map((backend) => (
+                        <tr key={backend.id}>
+                          <td>
+                            {backend.name}
+                            {activeBackend?.id === backend.id && (
+                              <Badge bg="primary" className="ms-2">active</Badge>
+                            )}
+                          </td>
+                          <td className="font-monospace small">{backend.url}</td>
+                          <td className={backend.healthy ? 'text-success' : backend.healthy === false ? 'text-danger' : 'text-muted'}>
+                            {backend.healthy ? 'Healthy' : backend.healthy === false ? 'Unhealthy' : 'Unknown'}
+                          </td>
+                          <td>{backend.latencyMs !== null ? `${backend.latencyMs}ms` : '-'}</td>
+                          <td className="text-end">
+                            {pinnedBackendId === backend.id ? (
+                              <Button size="sm" variant="outline-secondary" onClick={() => pinBackend(null)}>
+                                Unpin
+                              </Button>
+                            ) : (
+                              <Button size="sm" variant="outline-primary" onClick={() => pinBackend(backend.id)}>
+                                Pin
+                              </Button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                  <div className="text-muted small">
+                    {pinnedBackendId
+                      ? `All requests go to ${pinnedBackendId}. Unpin to route to the healthiest backend automatically.`
+                      : 'Requests go to the healthiest backend and fail over when one cannot be reached.'}
+                  </div>
+                </div>
+
                 <div>
                   <strong className="text-heading">Environment:</strong>
                   <span className="ms-2 text-muted">
@@ -586,6 +1028,27 @@ function App() {
       pageComponent = <HomePage />;
   }
 
+  // Every page sits behind the login screen when the backend requires auth
+  if (authRequired && !isAuthenticated) {
+    pageComponent = (
+      <div className="bg-main text-heading" style={{ minHeight: '100vh' }}>
+        <Container className="py-5">
+          <Row>
+            <Col md={8} lg={5} className="mx-auto">
+              <LoginForm
+                authMode={authMode}
+                onLogin={handleLogin}
+                onApiKeyLogin={handleApiKeyLogin}
+                sessionExpired={sessionExpired}
+                pendingFileName={fileAwaitingAuth?.name}
+              />
+            </Col>
+          </Row>
+        </Container>
+      </div>
+    );
+  }
+
   return (
     <AppErrorBoundary>
       <Navigation />
@@ -0,0 +1,73 @@
+import React from 'react';
+import { Alert, Button } from 'react-bootstrap';
+import { AlertCircle, RefreshCw, FileWarning, Clock } from 'lucide-react';
+import {
+  UnsupportedFormatError,
+  FileTooLargeError,
+  RateLimitedError,
+  CancelledError,
+} from '../services/errors';
+
+function getAlertVariant(apiError) {
+  if (apiError instanceof CancelledError) return 'secondary';
+  if (apiError instanceof UnsupportedFormatError || apiError instanceof FileTooLargeError) return 'warning';
+  return 'danger';
+}
+
+function getAlertIcon(apiError) {
+  if (apiError instanceof UnsupportedFormatError || apiError instanceof FileTooLargeError) {
+    return <FileWarning size={16} className="me-2" />;
+  }
+  if (apiError instanceof RateLimitedError) {
+    return <Clock size={16} className="me-2" />;
+  }
+  return <AlertCircle size={16} className="me-2" />;
+}
+
+// Renders an analysis error, with the remediation hint and a retry action
+// for transient failures when the error is a typed ApiError
+export default function ApiErrorAlert({ error, apiError, onRetry, className = 'mt-3' }) {
+  if (!error && !apiError) return null;
+
+  const details = apiError?.details;
+
+  return (
+    <Alert variant={getAlertVariant(apiError)} className={className}>
+      <div className="d-flex align-items-start">
+        {getAlertIcon(apiError)}
+        <div className="flex-grow-1">
+          <div>{apiError?.message || error}</div>
+
+          {apiError?.remediation && (
+            <div className="small mt-1">
+              <strong>
+                {apiError instanceof UnsupportedFormatError ? 'Convert file: ' : 'Suggestion: '}
+              </strong>
+              {apiError.remediation}
+            </div>
+          )}
+
+          {details && (
+            <details className="small mt-2">
+              <summary className="cursor-pointer">Details</summary>
+              <pre className="mb-0 mt-1" style={{ fontSize: '11px', whiteSpace: 'pre-wrap' }}>
+                {typeof details === 'string' ? details : JSON.stringify(details, null, 2)}
+              </pre>
+            </details>
+          )}
+
+          {apiError?.status && (
+            <div className="small text-muted mt-1">HTTP {apiError.status}</div>
+          )}
+        </div>
+
+        {apiError?.retryable && onRetry && (
+          <Button size="sm" variant="outline-danger" className="ms-3 flex-shrink-0" onClick={onRetry}>
+            <RefreshCw size={14} className="me-1" />
+            Retry
+          </Button>
+        )}
+      </div>
+    </Alert>
+  );
+}
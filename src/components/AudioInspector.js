@@ -0,0 +1,238 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Card, Button, ButtonGroup, Badge, Spinner, Form } from 'react-bootstrap';
+import { AudioWaveform, Play, Pause, ZoomIn, ZoomOut } from 'lucide-react';
+import Waveform from './Waveform';
+import { computePeaks, decodeAudio, formatDuration, formatOffset, resampleAudio } from '../utils/audio';
+import { getSegmentSpans } from '../utils/audioSegments';
+import { computeMelSpectrogram, hzToMel, renderSpectrogram } from '../utils/spectrogram';
+
+const WAVEFORM_BUCKETS = 800;
+const SPECTROGRAM_SAMPLE_RATE = 16000; // What the audio model sees
+const SPECTROGRAM_HEIGHT = 200;
+const FREQUENCY_TICKS = [500, 1000, 2000, 4000];
+const MAX_ZOOM = 64;
+
+function getSegmentColor(segment, threshold) {
+  return segment.fake_probability >= threshold
+    ? `rgba(220, 53, 69, ${0.2 + 0.5 * segment.fake_probability})`
+    : 'rgba(40, 167, 69, 0.2)';
+}
+
+// Waveform overview and a zoomable mel spectrogram of the analyzed audio,
+// both generated in the browser and following the shared playback cursor.
+// Segment scores, when the audio was analyzed window by window, are laid
+// over both.
+export default function AudioInspector({ file, playback, segments, threshold = 0.5 }) {
+  const [data, setData] = useState(null); // { peaks, duration, image }
+  const [error, setError] = useState(null);
+  const [zoom, setZoom] = useState(1);
+  const [viewStart, setViewStart] = useState(0);
+  const [width, setWidth] = useState(0);
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setData(null);
+    setError(null);
+    setZoom(1);
+    setViewStart(0);
+
+    (async () => {
+      const audioBuffer = await decodeAudio(file);
+      const mono = await resampleAudio(audioBuffer, SPECTROGRAM_SAMPLE_RATE);
+      const spectrogram = await computeMelSpectrogram(mono.getChannelData(0), SPECTROGRAM_SAMPLE_RATE);
+      if (cancelled) return;
+      setData({
+        peaks: computePeaks(audioBuffer, WAVEFORM_BUCKETS),
+        duration: audioBuffer.duration,
+        image: renderSpectrogram(spectrogram),
+      });
+    })().catch(() => {
+      if (!cancelled) setError('This browser cannot decode the file, so no waveform or spectrogram can be shown.');
+    });
+
+    return () => { cancelled = true; };
+  }, [file]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    setWidth(container.clientWidth);
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [data]);
+
+  const duration = data?.duration || 0;
+  const visible = duration / zoom;
+  const start = Math.min(Math.max(0, viewStart), duration - visible);
+  const { currentTime, isPlaying } = playback;
+
+  // Keep the cursor in view while playing
+  useEffect(() => {
+    if (isPlaying && zoom > 1 && (currentTime < start || currentTime > start + visible)) {
+      setViewStart(currentTime - visible * 0.1);
+    }
+  }, [isPlaying, currentTime, start, visible, zoom]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !data || !width) return;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = SPECTROGRAM_HEIGHT * ratio;
+    const context = canvas.getContext('2d');
+    const { image } = data;
+    context.drawImage(
+      image,
+      (start / duration) * image.width, 0, (visible / duration) * image.width, image.height,
+      0, 0, canvas.width, canvas.height
+    );
+  }, [data, width, start, visible, duration]);
+
+  const changeZoom = (factor) => {
+    const next = Math.min(MAX_ZOOM, Math.max(1, zoom * factor));
+    // Zoom around the cursor when it is in view, otherwise around the middle
+    const anchor = currentTime >= start && currentTime <= start + visible ? currentTime : start + visible / 2;
+    setZoom(next);
+    setViewStart(anchor - duration / next / 2);
+  };
+
+  const handleSpectrogramClick = (event) => {
+    if (!playback.canPlay) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    playback.seek(start + ((event.clientX - rect.left) / rect.width) * visible);
+  };
+
+  const toPercent = (seconds, from, span) => `${((seconds - from) / span) * 100}%`;
+  const spans = segments ? getSegmentSpans(segments) : [];
+  const visibleSpans = spans.filter(span => span.end > start && span.start < start + visible);
+  const maxMel = hzToMel(SPECTROGRAM_SAMPLE_RATE / 2);
+
+  return (
+    <Card className="bg-card border-subtle shadow mb-4">
+      <Card.Header>
+        <Card.Title className="text-heading mb-0">
+          <AudioWaveform size={18} className="me-2" />
+          Waveform and Spectrogram
+        </Card.Title>
+      </Card.Header>
+      <Card.Body>
+        {!data && !error && (
+          <div className="text-center p-4">
+            <Spinner animation="border" size="sm" className="me-2" />
+            <span className="text-muted">Computing spectrogram...</span>
+          </div>
+        )}
+        {error && <div className="text-muted small">{error}</div>}
+
+        {data && (
+          <>
+            <div className="d-flex align-items-center flex-wrap gap-2 mb-2">
+              <Button size="sm" variant="outline-info" onClick={playback.toggle} disabled={!playback.canPlay}>
+                {isPlaying ? <Pause size={14} /> : <Play size={14} />}
+              </Button>
+              <Badge bg="secondary">{formatDuration(currentTime)} / {formatDuration(duration)}</Badge>
+              <ButtonGroup size="sm" className="ms-auto">
+                <Button variant="outline-secondary" onClick={() => changeZoom(0.5)} disabled={zoom <= 1} title="Zoom out">
+                  <ZoomOut size={14} />
+                </Button>
+                <Button variant="outline-secondary" disabled>{zoom}x</Button>
+                <Button variant="outline-secondary" onClick={() => changeZoom(2)} disabled={zoom >= MAX_ZOOM} title="Zoom in">
+                  <ZoomIn size={14} />
+                </Button>
+              </ButtonGroup>
+            </div>
+
+            <Waveform
+              peaks={data.peaks}
+              duration={duration}
+              currentTime={currentTime}
+              onSeek={playback.canPlay ? playback.seek : undefined}
+              height={64}
+              className="mb-2 bg-main rounded"
+            >
+              {spans.map(({ start: spanStart, end: spanEnd, segment }) => (
+                <div
+                  key={segment.index}
+                  className="position-absolute top-0 bottom-0"
+                  style={{
+                    left: toPercent(spanStart, 0, duration),
+                    width: toPercent(spanEnd - spanStart, 0, duration),
+                    backgroundColor: getSegmentColor(segment, threshold),
+                    pointerEvents: 'none',
+                  }}
+                />
+              ))}
+              {zoom > 1 && (
+                <div
+                  className="position-absolute top-0 bottom-0 border border-info"
+                  style={{ left: toPercent(start, 0, duration), width: toPercent(visible, 0, duration), pointerEvents: 'none' }}
+                />
+              )}
+            </Waveform>
+
+            {visibleSpans.length > 0 && (
+              <div className="position-relative overflow-hidden mb-1" style={{ height: 8 }}>
+                {visibleSpans.map(({ start: spanStart, end: spanEnd, segment }) => (
+                  <div
+                    key={segment.index}
+                    className="position-absolute top-0 bottom-0"
+                    title={`${formatOffset(segment.start)} - ${formatOffset(segment.end)}: ${(segment.fake_probability * 100).toFixed(1)}% fake`}
+                    style={{
+                      left: toPercent(spanStart, start, visible),
+                      width: toPercent(spanEnd - spanStart, 0, visible),
+                      backgroundColor: getSegmentColor(segment, threshold),
+                    }}
+                  />
+                ))}
+              </div>
+            )}
+
+            <div
+              ref={containerRef}
+              className="position-relative rounded overflow-hidden"
+              style={{ height: SPECTROGRAM_HEIGHT, cursor: playback.canPlay ? 'pointer' : 'default' }}
+              onClick={handleSpectrogramClick}
+            >
+              <canvas ref={canvasRef} style={{ width: '100%', height: SPECTROGRAM_HEIGHT, display: 'block' }} />
+              {FREQUENCY_TICKS.map(hz => (
+                <div
+                  key={hz}
+                  className="position-absolute small text-white px-1"
+                  style={{ left: 0, bottom: `${(hzToMel(hz) / maxMel) * 100}%`, transform: 'translateY(50%)', opacity: 0.7, pointerEvents: 'none' }}
+                >
+                  {hz >= 1000 ? `${hz / 1000} kHz` : `${hz} Hz`}
+                </div>
+              ))}
+              {currentTime >= start && currentTime <= start + visible && (
+                <div
+                  className="position-absolute top-0 bottom-0 bg-white"
+                  style={{ left: toPercent(currentTime, start, visible), width: '2px', pointerEvents: 'none' }}
+                />
+              )}
+            </div>
+
+            <div className="d-flex justify-content-between small text-muted mt-1">
+              <span>{formatOffset(start)}</span>
+              <span>Mel spectrogram, 0-8 kHz</span>
+              <span>{formatOffset(start + visible)}</span>
+            </div>
+
+            {zoom > 1 && (
+              <Form.Range
+                min={0}
+                max={duration - visible}
+                step={visible / 100}
+                value={start}
+                onChange={(e) => setViewStart(Number(e.target.value))}
+                aria-label="Scroll the spectrogram"
+              />
+            )}
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
@@ -0,0 +1,207 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Button, ProgressBar, Alert, Spinner } from 'react-bootstrap';
+import { Mic, Square, RotateCcw, Search } from 'lucide-react';
+import { decodeAudio, encodeWav, formatDuration, getAudioContextClass, getRms } from '../utils/audio';
+
+const MAX_RECORDING_SECONDS = 300;
+
+export function isRecordingSupported() {
+  return Boolean(navigator.mediaDevices?.getUserMedia && window.MediaRecorder && getAudioContextClass());
+}
+
+// Microphone capture with MediaRecorder. The clip is converted to WAV and
+// handed to `onRecorded` only after the user has listened to it.
+export default function AudioRecorder({ onRecorded, disabled = false }) {
+  const [phase, setPhase] = useState('idle'); // idle | recording | processing | review
+  const [level, setLevel] = useState(0);
+  const [elapsed, setElapsed] = useState(0);
+  const [clip, setClip] = useState(null); // { file, url }
+  const [error, setError] = useState(null);
+
+  const streamRef = useRef(null);
+  const recorderRef = useRef(null);
+  const audioContextRef = useRef(null);
+  const frameRef = useRef(null);
+  const timerRef = useRef(null);
+
+  const releaseInput = useCallback(() => {
+    cancelAnimationFrame(frameRef.current);
+    clearInterval(timerRef.current);
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    audioContextRef.current?.close();
+    streamRef.current = null;
+    audioContextRef.current = null;
+    setLevel(0);
+  }, []);
+
+  const stopRecording = useCallback(() => {
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop();
+    }
+  }, []);
+
+  // Convert the browser's native recording (webm/ogg/mp4) to WAV for the backend
+  const finishRecording = useCallback(async (chunks, mimeType) => {
+    releaseInput();
+    setPhase('processing');
+    try {
+      const audioBuffer = await decodeAudio(new Blob(chunks, { type: mimeType }));
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const file = new File([encodeWav(audioBuffer)], `recording-${stamp}.wav`, { type: 'audio/wav' });
+      setClip({ file, url: URL.createObjectURL(file) });
+      setPhase('review');
+    } catch {
+      setError('The recording could not be processed. Please try again.');
+      setPhase('idle');
+    }
+  }, [releaseInput]);
+
+  const startRecording = async () => {
+    setError(null);
+    try {
+      // Processing meant for calls would alter exactly the artifacts the model looks for
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+      });
+      streamRef.current = stream;
+
+      const AudioContextClass = getAudioContextClass();
+      const audioContext = new AudioContextClass();
+      const analyser = audioContext.createAnalyser();
+      analyser.fftSize = 2048;
+      audioContext.createMediaStreamSource(stream).connect(analyser);
+      audioContextRef.current = audioContext;
+
+      const samples = new Float32Array(analyser.fftSize);
+      const updateLevel = () => {
+        analyser.getFloatTimeDomainData(samples);
+        // Scale RMS so normal speech fills most of the meter
+        setLevel(Math.min(1, getRms(samples) * 4));
+        frameRef.current = requestAnimationFrame(updateLevel);
+      };
+      updateLevel();
+
+      const chunks = [];
+      const recorder = new MediaRecorder(stream);
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.onstop = () => finishRecording(chunks, recorder.mimeType);
+      recorder.start();
+      recorderRef.current = recorder;
+
+      const startedAt = Date.now();
+      setElapsed(0);
+      timerRef.current = setInterval(() => {
+        const seconds = (Date.now() - startedAt) / 1000;
+        setElapsed(seconds);
+        if (seconds >= MAX_RECORDING_SECONDS) {
+          stopRecording();
+        }
+      }, 250);
+
+      setPhase('recording');
+    } catch (err) {
+      releaseInput();
+      setError(err.name === 'NotAllowedError'
+        ? 'Microphone access was denied. Allow it in your browser settings to record.'
+        : 'No microphone is available.');
+    }
+  };
+
+  const discardClip = () => {
+    setClip(null);
+    setElapsed(0);
+    setPhase('idle');
+  };
+
+  const submitClip = () => {
+    onRecorded(clip.file);
+  };
+
+  // Stop the microphone and free the preview when leaving record mode
+  useEffect(() => {
+    return () => {
+      if (recorderRef.current?.state === 'recording') {
+        recorderRef.current.onstop = null;
+        recorderRef.current.stop();
+      }
+      releaseInput();
+    };
+  }, [releaseInput]);
+
+  // Free each clip's preview URL once it is replaced or discarded
+  useEffect(() => {
+    return () => {
+      if (clip) URL.revokeObjectURL(clip.url);
+    };
+  }, [clip]);
+
+  return (
+    <div className="text-center p-4 border rounded border-secondary" style={{ borderStyle: 'dashed', borderWidth: '2px' }}>
+      {phase === 'idle' && (
+        <>
+          <Mic size={48} className="mb-3 text-muted" />
+          <h5 className="text-heading mb-2">Record from Microphone</h5>
+          <p className="text-muted mb-3">
+            Capture a voice, e.g. from a speakerphone, and check it without saving a file first
+          </p>
+          <Button className="btn-gradient" onClick={startRecording} disabled={disabled}>
+            <Mic size={16} className="me-2" />
+            Start Recording
+          </Button>
+        </>
+      )}
+
+      {phase === 'recording' && (
+        <>
+          <div className="text-danger mb-2">
+            <span className="spinner-grow spinner-grow-sm me-2" role="status" />
+            Recording {formatDuration(elapsed)}
+            <span className="text-muted small ms-2">(max {formatDuration(MAX_RECORDING_SECONDS)})</span>
+          </div>
+          <ProgressBar
+            now={level * 100}
+            variant={level > 0.9 ? 'danger' : 'success'}
+            className="mb-3 mx-auto"
+            style={{ height: '10px', maxWidth: '320px' }}
+            aria-label="Input level"
+          />
+          <Button variant="outline-danger" onClick={stopRecording}>
+            <Square size={16} className="me-2" />
+            Stop
+          </Button>
+        </>
+      )}
+
+      {phase === 'processing' && (
+        <>
+          <Spinner animation="border" variant="primary" className="mb-3" />
+          <div className="text-muted">Preparing recording...</div>
+        </>
+      )}
+
+      {phase === 'review' && clip && (
+        <>
+          <h5 className="text-heading mb-2">Review Recording</h5>
+          <div className="text-muted small mb-3">{formatDuration(elapsed)} recorded</div>
+          <audio controls src={clip.url} className="w-100 mb-3" />
+          <div>
+            <Button className="btn-gradient me-2" onClick={submitClip} disabled={disabled}>
+              <Search size={16} className="me-2" />
+              Analyze Recording
+            </Button>
+            <Button variant="outline-secondary" onClick={discardClip}>
+              <RotateCcw size={16} className="me-2" />
+              Record Again
+            </Button>
+          </div>
+        </>
+      )}
+
+      {error && (
+        <Alert variant="warning" className="mt-3 mb-0">{error}</Alert>
+      )}
+    </div>
+  );
+}
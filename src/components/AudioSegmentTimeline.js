@@ -0,0 +1,132 @@
+import React from 'react';
+import { Card, Badge, Button, Table } from 'react-bootstrap';
+import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, ReferenceArea } from 'recharts';
+import { Activity, Play, Square } from 'lucide-react';
+import { AGGREGATION_STRATEGIES } from '../utils/audioSegments';
+import { formatOffset } from '../utils/audio';
+
+const TOP_SEGMENT_COUNT = 5;
+
+// Per-window fake probability of a long recording (see utils/audioSegments).
+// Clicking the chart or a listed segment plays that window through the
+// shared `playback` (see useAudioPlayback).
+export default function AudioSegmentTimeline({ analysis, playback }) {
+  const { segments, aggregate, threshold } = analysis;
+  // Results fetched by the backend from a link have no local file to play
+  const { canPlay } = playback;
+
+  const chartData = React.useMemo(() => segments.map(segment => ({
+    time: (segment.start + segment.end) / 2,
+    fake: segment.fake_probability * 100,
+  })), [segments]);
+
+  const topSegments = React.useMemo(() => (
+    [...segments].sort((a, b) => b.fake_probability - a.fake_probability).slice(0, TOP_SEGMENT_COUNT)
+  ), [segments]);
+
+  const playing = playback.range && segments.find(segment => (
+    segment.start === playback.range.start && segment.end === playback.range.end
+  ));
+
+  const playSegment = (segment) => {
+    if (playing === segment) {
+      playback.toggle();
+    } else {
+      playback.playRange(segment.start, segment.end);
+    }
+  };
+
+  const handleChartClick = (state) => {
+    const segment = segments[Number(state?.activeTooltipIndex)];
+    if (segment && canPlay) playSegment(segment);
+  };
+
+  const strategy = AGGREGATION_STRATEGIES.find(option => option.value === aggregate.strategy);
+  const duration = segments[segments.length - 1].end;
+
+  return (
+    <Card className="bg-card border-subtle shadow mb-4">
+      <Card.Header>
+        <Card.Title className="text-heading mb-0">
+          <Activity size={18} className="me-2" />
+          Segment Timeline
+        </Card.Title>
+      </Card.Header>
+      <Card.Body>
+        <div className="d-flex flex-wrap gap-2 mb-3">
+          <Badge bg="secondary">
+            {segments.length} windows of {analysis.window_seconds}s, {Math.round(analysis.overlap * 100)}% overlap
+          </Badge>
+          <Badge bg="secondary">Verdict by: {strategy?.label || aggregate.strategy}</Badge>
+          <Badge bg="secondary">Mean {(aggregate.mean_fake_probability * 100).toFixed(1)}% fake</Badge>
+          <Badge bg="secondary">Peak {(aggregate.max_fake_probability * 100).toFixed(1)}% fake</Badge>
+          <Badge bg={aggregate.fake_segment_share > 0 ? 'danger' : 'secondary'}>
+            {(aggregate.fake_segment_share * 100).toFixed(0)}% of windows above threshold
+          </Badge>
+        </div>
+
+        <ResponsiveContainer width="100%" height={220}>
+          <AreaChart data={chartData} onClick={handleChartClick} style={{ cursor: canPlay ? 'pointer' : 'default' }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis
+              dataKey="time"
+              type="number"
+              domain={[0, duration]}
+              tickFormatter={formatOffset}
+              stroke="#9CA3AF"
+            />
+            <YAxis domain={[0, 100]} unit="%" stroke="#9CA3AF" />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: '#1f2937',
+                border: '1px solid #374151',
+                borderRadius: '8px'
+              }}
+              labelFormatter={formatOffset}
+              formatter={(value) => [`${Number(value).toFixed(1)}%`, 'Fake probability']}
+            />
+            {playing && (
+              <ReferenceArea x1={playing.start} x2={playing.end} fill="#5bc0de" fillOpacity={0.2} />
+            )}
+            <ReferenceLine y={threshold * 100} stroke="#dc3545" strokeDasharray="4 4" />
+            <Area type="monotone" dataKey="fake" stroke="#3b82f6" fill="#3b82f6" fillOpacity={0.25} isAnimationActive={false} />
+          </AreaChart>
+        </ResponsiveContainer>
+        <div className="small text-muted mb-3">
+          {canPlay
+            ? 'Click the chart or a segment below to listen to it.'
+            : 'Playback is not available because the audio was fetched by the backend.'}
+        </div>
+
+        <div className="text-heading mb-2">Most suspicious segments</div>
+        <Table responsive size="sm" className="table-dark mb-0">
+          <tbody>
+            {topSegments.map(segment => (
+              <tr key={segment.index}>
+                <td className="text-muted">
+                  {formatOffset(segment.start)} - {formatOffset(segment.end)}
+                </td>
+                <td>
+                  <Badge bg={segment.fake_probability >= threshold ? 'danger' : 'success'}>
+                    {(segment.fake_probability * 100).toFixed(1)}% fake
+                  </Badge>
+                </td>
+                <td className="text-end">
+                  <Button
+                    size="sm"
+                    variant="outline-info"
+                    disabled={!canPlay}
+                    onClick={() => playSegment(segment)}
+                    title={playing === segment ? 'Stop' : 'Play this segment'}
+                  >
+                    {playing === segment ? <Square size={14} /> : <Play size={14} />}
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      </Card.Body>
+    </Card>
+  );
+}
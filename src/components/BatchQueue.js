@@ -0,0 +1,164 @@
+import React from 'react';
+import { Card, Button, ProgressBar, Badge, Table, Form } from 'react-bootstrap';
+import { Pause, Play, RotateCcw, X, Trash2, Eye } from 'lucide-react';
+import { BatchItemStatus, DetectionResult } from '../types/api';
+
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4, 6];
+
+function getVerdictColor(result) {
+  switch (result) {
+    case DetectionResult.REAL:
+      return 'success';
+    case DetectionResult.FAKE:
+      return 'danger';
+    case DetectionResult.UNCERTAIN:
+      return 'warning';
+    default:
+      return 'secondary';
+  }
+}
+
+function getStatusBadge(item) {
+  switch (item.status) {
+    case BatchItemStatus.QUEUED:
+      return <Badge bg="secondary">Queued</Badge>;
+    case BatchItemStatus.ANALYZING:
+      return <Badge bg="primary">{item.jobStatus ? `Job ${item.jobStatus}` : 'Analyzing'}</Badge>;
+    case BatchItemStatus.FAILED:
+      return <Badge bg="danger">Failed</Badge>;
+    case BatchItemStatus.CANCELLED:
+      return <Badge bg="dark">Cancelled</Badge>;
+    default:
+      return (
+        <Badge bg={getVerdictColor(item.result.detection_result)}>
+          {item.result.detection_result.toUpperCase()} {(item.result.confidence_score * 100).toFixed(1)}%
+        </Badge>
+      );
+  }
+}
+
+export default function BatchQueue({
+  items,
+  summary,
+  isPaused,
+  concurrency,
+  onConcurrencyChange,
+  onPause,
+  onResume,
+  onCancel,
+  onRetry,
+  onRemove,
+  onClear,
+  onView,
+  className = ''
+}) {
+  if (items.length === 0) return null;
+
+  return (
+    <Card className={`bg-card border-subtle shadow ${className}`}>
+      <Card.Header className="d-flex justify-content-between align-items-center flex-wrap gap-2">
+        <Card.Title className="text-heading mb-0">Batch Queue</Card.Title>
+        <div className="d-flex align-items-center gap-2">
+          <Form.Label htmlFor="batch-concurrency" className="small text-muted mb-0">
+            Parallel uploads
+          </Form.Label>
+          <Form.Select
+            id="batch-concurrency"
+            size="sm"
+            className="bg-main text-muted border-subtle"
+            style={{ width: 'auto' }}
+            value={concurrency}
+            onChange={(e) => onConcurrencyChange(Number(e.target.value))}
+          >
+            {CONCURRENCY_OPTIONS.map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </Form.Select>
+          {isPaused ? (
+            <Button size="sm" variant="outline-success" onClick={onResume}>
+              <Play size={14} className="me-1" />
+              Resume
+            </Button>
+          ) : (
+            <Button size="sm" variant="outline-warning" onClick={onPause} disabled={summary.pending === 0}>
+              <Pause size={14} className="me-1" />
+              Pause
+            </Button>
+          )}
+          <Button size="sm" variant="outline-secondary" onClick={onClear}>
+            <Trash2 size={14} className="me-1" />
+            Clear
+          </Button>
+        </div>
+      </Card.Header>
+      <Card.Body>
+        {/* Batch summary */}
+        <div className="d-flex flex-wrap gap-2 mb-3">
+          <Badge bg="success">Real: {summary.real}</Badge>
+          <Badge bg="danger">Fake: {summary.fake}</Badge>
+          <Badge bg="warning" text="dark">Uncertain: {summary.uncertain}</Badge>
+          {summary.failed > 0 && <Badge bg="secondary">Failed: {summary.failed}</Badge>}
+          <span className="small text-muted ms-auto">
+            {summary.total - summary.pending} of {summary.total} finished
+            {isPaused && summary.pending > 0 ? ' (paused)' : ''}
+          </span>
+        </div>
+
+        <Table responsive size="sm" className="mb-0 align-middle">
+          <thead>
+            <tr>
+              <th className="text-muted">File</th>
+              <th className="text-muted" style={{ width: '30%' }}>Progress</th>
+              <th className="text-muted">Status</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {items.map(item => (
+              <tr key={item.id}>
+                <td className="text-heading text-break">
+                  {item.relativePath}
+                  {item.isCached && <Badge bg="info" className="ms-2">Cached</Badge>}
+                  {item.result?.file_warnings && (
+                    <div className="small text-warning">{item.result.file_warnings.join(' ')}</div>
+                  )}
+                  {item.error && <div className="small text-danger">{item.error}</div>}
+                </td>
+                <td>
+                  <ProgressBar
+                    now={item.progress}
+                    variant={item.status === BatchItemStatus.FAILED ? 'danger' : 'info'}
+                    animated={item.status === BatchItemStatus.ANALYZING}
+                    style={{ height: '6px' }}
+                  />
+                </td>
+                <td>{getStatusBadge(item)}</td>
+                <td className="text-end text-nowrap">
+                  {item.status === BatchItemStatus.DONE && (
+                    <Button size="sm" variant="outline-info" className="me-1" title="View result" onClick={() => onView(item)}>
+                      <Eye size={14} />
+                    </Button>
+                  )}
+                  {(item.status === BatchItemStatus.FAILED || item.status === BatchItemStatus.CANCELLED) && (
+                    <Button size="sm" variant="outline-primary" className="me-1" title="Retry" onClick={() => onRetry(item.id)}>
+                      <RotateCcw size={14} />
+                    </Button>
+                  )}
+                  {item.status === BatchItemStatus.QUEUED || item.status === BatchItemStatus.ANALYZING ? (
+                    <Button size="sm" variant="outline-danger" title="Cancel" onClick={() => onCancel(item.id)}>
+                      <X size={14} />
+                    </Button>
+                  ) : (
+                    <Button size="sm" variant="outline-secondary" title="Remove" onClick={() => onRemove(item.id)}>
+                      <Trash2 size={14} />
+                    </Button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      </Card.Body>
+    </Card>
+  );
+}
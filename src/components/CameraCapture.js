@@ -0,0 +1,171 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Button, Alert } from 'react-bootstrap';
+import { Camera, RotateCcw, Search, SwitchCamera } from 'lucide-react';
+
+export function isCameraSupported() {
+  return Boolean(navigator.mediaDevices?.getUserMedia);
+}
+
+// Still capture from a webcam or phone camera. The rear camera is preferred so
+// field staff can photograph a printed or on-screen image; the still is sent
+// as a lossless PNG to avoid adding compression artifacts of our own.
+export default function CameraCapture({ onCaptured, disabled = false }) {
+  const [phase, setPhase] = useState('idle'); // idle | preview | review
+  const [facingMode, setFacingMode] = useState('environment');
+  const [still, setStill] = useState(null); // { file, url, width, height }
+  const [error, setError] = useState(null);
+  const [stream, setStream] = useState(null);
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  // Bumped whenever the camera stops, so a getUserMedia call still waiting on
+  // the permission prompt knows its stream is no longer wanted
+  const requestRef = useRef(0);
+
+  const stopCamera = useCallback(() => {
+    requestRef.current++;
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+  }, []);
+
+  const startCamera = useCallback(async (facing) => {
+    setError(null);
+    stopCamera();
+    const request = requestRef.current;
+    try {
+      const mediaStream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: { ideal: facing }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+        audio: false,
+      });
+      // Unmounted, stopped or switched to the other camera in the meantime
+      if (request !== requestRef.current) {
+        mediaStream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      streamRef.current = mediaStream;
+      setStream(mediaStream);
+      setPhase('preview');
+    } catch (err) {
+      if (request !== requestRef.current) return;
+      setError(err.name === 'NotAllowedError'
+        ? 'Camera access was denied. Allow it in your browser settings to take a photo.'
+        : 'No camera is available.');
+      setPhase('idle');
+    }
+  }, [stopCamera]);
+
+  // The <video> element only exists once the preview phase has rendered
+  useEffect(() => {
+    if (phase === 'preview' && videoRef.current && stream) {
+      videoRef.current.srcObject = stream;
+    }
+  }, [phase, stream]);
+
+  const switchCamera = () => {
+    const next = facingMode === 'environment' ? 'user' : 'environment';
+    setFacingMode(next);
+    startCamera(next);
+  };
+
+  const takeStill = () => {
+    const video = videoRef.current;
+    if (!video?.videoWidth) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        setError('The photo could not be captured. Please try again.');
+        return;
+      }
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const file = new File([blob], `capture-${stamp}.png`, { type: 'image/png' });
+      setStill({ file, url: URL.createObjectURL(blob), width: canvas.width, height: canvas.height });
+      stopCamera();
+      setPhase('review');
+    }, 'image/png');
+  };
+
+  const retake = () => {
+    setStill(null);
+    startCamera(facingMode);
+  };
+
+  // Turn the camera off when leaving camera mode
+  useEffect(() => stopCamera, [stopCamera]);
+
+  // Free each still's preview URL once it is replaced or discarded
+  useEffect(() => {
+    return () => {
+      if (still) URL.revokeObjectURL(still.url);
+    };
+  }, [still]);
+
+  return (
+    <div className="text-center p-4 border rounded border-secondary" style={{ borderStyle: 'dashed', borderWidth: '2px' }}>
+      {phase === 'idle' && (
+        <>
+          <Camera size={48} className="mb-3 text-muted" />
+          <h5 className="text-heading mb-2">Take a Photo</h5>
+          <p className="text-muted mb-3">
+            Photograph a printed or on-screen image with your camera
+          </p>
+          <Button className="btn-gradient" onClick={() => startCamera(facingMode)} disabled={disabled}>
+            <Camera size={16} className="me-2" />
+            Start Camera
+          </Button>
+        </>
+      )}
+
+      {phase === 'preview' && (
+        <>
+          <video
+            ref={videoRef}
+            autoPlay
+            playsInline
+            muted
+            className="w-100 rounded mb-3 bg-black"
+            style={{ maxHeight: '360px', objectFit: 'contain' }}
+          />
+          <div>
+            <Button className="btn-gradient me-2" onClick={takeStill}>
+              <Camera size={16} className="me-2" />
+              Take Photo
+            </Button>
+            <Button variant="outline-secondary" onClick={switchCamera} title="Switch between front and rear camera">
+              <SwitchCamera size={16} />
+            </Button>
+          </div>
+        </>
+      )}
+
+      {phase === 'review' && still && (
+        <>
+          <img
+            src={still.url}
+            alt="Captured still"
+            className="w-100 rounded mb-2"
+            style={{ maxHeight: '360px', objectFit: 'contain' }}
+          />
+          <div className="text-muted small mb-3">{still.width} x {still.height} px</div>
+          <div>
+            <Button className="btn-gradient me-2" onClick={() => onCaptured(still.file)} disabled={disabled}>
+              <Search size={16} className="me-2" />
+              Analyze Photo
+            </Button>
+            <Button variant="outline-secondary" onClick={retake}>
+              <RotateCcw size={16} className="me-2" />
+              Retake
+            </Button>
+          </div>
+        </>
+      )}
+
+      {error && (
+        <Alert variant="warning" className="mt-3 mb-0">{error}</Alert>
+      )}
+    </div>
+  );
+}
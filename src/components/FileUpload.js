@@ -1,9 +1,16 @@
-import React, { useCallback, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { Card, Button, ProgressBar, Alert, Badge, Spinner } from 'react-bootstrap';
-import { Upload, X, FileText, Music, Image as ImageIcon, Video, AlertCircle, CheckCircle } from 'lucide-react';
+import { Card, Button, ButtonGroup, ProgressBar, Alert, Badge, Spinner, Form, InputGroup } from 'react-bootstrap';
+import { Upload, X, FileText, Music, Image as ImageIcon, Video, AlertCircle, CheckCircle, FolderOpen, Link2, Mic, Camera, Radio, ScreenShare } from 'lucide-react';
 import { useSupportedFormats } from '../hooks/useApi';
-import { FileType, DetectionResult } from '../types/api';
+import ApiErrorAlert from './ApiErrorAlert';
+import AudioRecorder, { isRecordingSupported } from './AudioRecorder';
+import CameraCapture, { isCameraSupported } from './CameraCapture';
+import LiveMonitor, { isLiveMonitorSupported } from './LiveMonitor';
+import ScreenCapture, { isScreenCaptureSupported } from './ScreenCapture';
+import MediaPreview from './MediaPreview';
+import { FileType, DetectionResult, JobStatus } from '../types/api';
+import { getClipboardFiles, getVideoExtensions, partitionFiles } from '../utils/fileIngest';
 
 function getFileIcon(fileType, size = 24) {
   if (fileType.startsWith('audio/')) {
@@ -31,6 +38,29 @@ function getResultColor(result) {
   }
 }
 
+function getJobStatusLabel(jobStatus) {
+  switch (jobStatus) {
+    case JobStatus.QUEUED:
+      return 'Waiting in the detection queue...';
+    case JobStatus.PROCESSING:
+      return 'Backend is processing the file...';
+    case JobStatus.COMPLETED:
+      return 'Fetching results...';
+    default:
+      return 'Analyzing file...';
+  }
+}
+
+function FileWarnings({ warnings }) {
+  if (!warnings?.length) return null;
+  return (
+    <Alert variant="warning" className="small py-2">
+      <AlertCircle size={14} className="me-2" />
+      {warnings.join(' ')}
+    </Alert>
+  );
+}
+
 function formatFileSize(bytes) {
   if (bytes === 0) return '0 Bytes';
   const k = 1024;
@@ -41,16 +71,30 @@ function formatFileSize(bytes) {
 
 export default function FileUpload({
   onFileSelect,
+  onFilesSelect, // Receives every file when several are dropped at once
+  onUrlSubmit,
   onFileRemove,
   uploadedFile,
+  fileWarnings = [],
   isAnalyzing = false,
   progress = 0,
+  jobStatus,
+  stepProgress,
+  isCached = false,
+  onRerun,
   error,
+  apiError,
+  onRetry,
   result,
   disabled = false
 }) {
   const { formats, isLoading: formatsLoading, error: formatsError } = useSupportedFormats();
   const [dragActive, setDragActive] = useState(false);
+  const [skippedFiles, setSkippedFiles] = useState([]);
+  const [mediaUrl, setMediaUrl] = useState('');
+  const [mode, setMode] = useState('upload'); // upload | record | camera | screen | live
+  const [previewFile, setPreviewFile] = useState(null); // Single file awaiting confirmation
+  const directoryInputRef = useRef(null);
 
   // Create accept string for dropzone
   const acceptedFormats = React.useMemo(() => {
@@ -79,27 +123,83 @@ export default function FileUpload({
         }
       });
     }
+
+    // Add video formats, whose frames go to the image model
+    getVideoExtensions(formats).forEach(ext => {
+      const mimeType = getMimeTypeFromExtension(ext);
+      if (mimeType) {
+        if (!acceptObj[mimeType]) acceptObj[mimeType] = [];
+        acceptObj[mimeType].push(ext);
+      }
+    });
     
     return acceptObj;
   }, [formats]);
 
-  const onDrop = useCallback((acceptedFiles) => {
-    if (acceptedFiles.length > 0 && !disabled) {
-      onFileSelect(acceptedFiles[0]);
+  // Dropped folders arrive already flattened by react-dropzone; files it
+  // rejected are re-checked so each skip gets a readable reason
+  const ingestFiles = useCallback((files) => {
+    const { accepted, skipped } = partitionFiles(files, formats);
+    setSkippedFiles(skipped);
+    if (disabled) return;
+
+    if (accepted.length > 1 && onFilesSelect) {
+      onFilesSelect(accepted);
+    } else if (accepted.length > 0) {
+      setPreviewFile(accepted[0]);
     }
-    setDragActive(false);
-  }, [onFileSelect, disabled]);
+  }, [formats, onFilesSelect, disabled]);
 
-  const onDropRejected = useCallback((rejectedFiles) => {
-    console.warn('Files rejected:', rejectedFiles);
+  const onDrop = useCallback((acceptedFiles, fileRejections) => {
+    ingestFiles([...acceptedFiles, ...fileRejections.map(rejection => rejection.file)]);
     setDragActive(false);
-  }, []);
+  }, [ingestFiles]);
+
+  const onDirectorySelect = useCallback((event) => {
+    ingestFiles(Array.from(event.target.files || []));
+    // Allow picking the same folder again
+    event.target.value = '';
+  }, [ingestFiles]);
+
+  // Ctrl+V of an image or audio file starts an analysis just like a drop
+  useEffect(() => {
+    if (disabled || isAnalyzing) return undefined;
+
+    const handlePaste = (event) => {
+      const files = getClipboardFiles(event.clipboardData);
+      if (files.length === 0) return;
+      event.preventDefault();
+      ingestFiles(files);
+    };
+
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, [disabled, isAnalyzing, ingestFiles]);
+
+  // `selection` describes the audio regions cut out of the original, if any
+  const confirmPreview = (file, selection) => {
+    setPreviewFile(null);
+    onFileSelect(file, { selection });
+  };
+
+  const handleUrlSubmit = (event) => {
+    event.preventDefault();
+    const url = mediaUrl.trim();
+    if (!/^https?:\/\//i.test(url) || disabled) return;
+    onUrlSubmit(url);
+    setMediaUrl('');
+  };
+
+  const openDirectoryPicker = (event) => {
+    // Keep the click from also opening the dropzone's file dialog
+    event.stopPropagation();
+    directoryInputRef.current?.click();
+  };
 
   const { getRootProps, getInputProps, isDragActive, isDragReject } = useDropzone({
     onDrop,
-    onDropRejected,
     accept: acceptedFormats,
-    maxFiles: 1,
+    multiple: Boolean(onFilesSelect),
     maxSize: 100 * 1024 * 1024, // 100MB
     disabled: disabled || isAnalyzing,
     onDragEnter: () => setDragActive(true),
@@ -150,6 +250,8 @@ export default function FileUpload({
             </Button>
           </div>
 
+          <FileWarnings warnings={fileWarnings} />
+
           <div className="text-center p-4">
             {result.detection_result === DetectionResult.REAL && (
               <CheckCircle size={48} className="text-success mb-3" />
@@ -170,6 +272,16 @@ export default function FileUpload({
             <Badge bg={getResultColor(result.detection_result)} className="fs-6">
               {result.file_type} Analysis Complete
             </Badge>
+            {isCached && (
+              <div className="mt-3">
+                <Badge bg="info" className="me-2">Cached result</Badge>
+                {onRerun && (
+                  <Button variant="outline-info" size="sm" onClick={onRerun}>
+                    Re-run anyway
+                  </Button>
+                )}
+              </div>
+            )}
           </div>
         </Card.Body>
       </Card>
@@ -199,11 +311,19 @@ export default function FileUpload({
             </Button>
           </div>
 
+          <FileWarnings warnings={fileWarnings} />
+
           <div className="text-center p-4">
             <Spinner animation="border" variant="primary" className="mb-3" />
-            <div className="text-heading mb-2">Analyzing file...</div>
+            <div className="text-heading mb-2">
+              {stepProgress
+                ? `Analyzing ${stepProgress.unit} ${stepProgress.completed} of ${stepProgress.total}...`
+                : getJobStatusLabel(jobStatus)}
+            </div>
             <div className="text-muted mb-3">
-              This may take a few moments depending on file size
+              {jobStatus
+                ? 'You can leave this page; the job can be resumed from the Detector page'
+                : 'This may take a few moments depending on file size'}
             </div>
             <ProgressBar 
               now={progress} 
@@ -212,14 +332,14 @@ export default function FileUpload({
               animated
               style={{ height: '8px' }}
             />
+            {jobStatus && (
+              <Badge bg={jobStatus === JobStatus.PROCESSING ? 'primary' : 'secondary'} className="mt-3">
+                Job {jobStatus}
+              </Badge>
+            )}
           </div>
 
-          {error && (
-            <Alert variant="danger" className="mt-3">
-              <AlertCircle size={16} className="me-2" />
-              {error}
-            </Alert>
-          )}
+          <ApiErrorAlert error={error} apiError={apiError} onRetry={onRetry} />
         </Card.Body>
       </Card>
     );
@@ -229,76 +349,218 @@ export default function FileUpload({
   return (
     <Card className="bg-card border-subtle shadow">
       <Card.Body>
-        <div
-          {...getRootProps()}
-          className={`text-center p-5 border rounded ${
-            dragActive || isDragActive 
-              ? 'border-primary bg-primary bg-opacity-10' 
-              : isDragReject 
-                ? 'border-danger bg-danger bg-opacity-10'
-                : 'border-dashed border-secondary'
-          } ${disabled ? 'cursor-not-allowed opacity-50' : 'cursor-pointer'}`}
-          style={{
-            borderStyle: 'dashed',
-            borderWidth: '2px',
-            transition: 'all 0.3s ease',
-          }}
-        >
-          <input {...getInputProps()} />
-          
-          <Upload 
-            size={48} 
-            className={`mb-3 ${
-              dragActive || isDragActive ? 'text-primary' : 'text-muted'
-            }`} 
+        {previewFile && (
+          <MediaPreview
+            file={previewFile}
+            onConfirm={confirmPreview}
+            onCancel={() => setPreviewFile(null)}
+            disabled={disabled}
           />
+        )}
+
+        {!previewFile && (isRecordingSupported() || isCameraSupported() || isScreenCaptureSupported() || isLiveMonitorSupported()) && (
+          <ButtonGroup className="mb-3">
+            <Button
+              variant={mode === 'upload' ? 'primary' : 'outline-secondary'}
+              size="sm"
+              onClick={() => setMode('upload')}
+            >
+              <Upload size={14} className="me-1" />
+              Upload
+            </Button>
+            {isRecordingSupported() && (
+              <Button
+                variant={mode === 'record' ? 'primary' : 'outline-secondary'}
+                size="sm"
+                onClick={() => setMode('record')}
+              >
+                <Mic size={14} className="me-1" />
+                Record
+              </Button>
+            )}
+            {isCameraSupported() && (
+              <Button
+                variant={mode === 'camera' ? 'primary' : 'outline-secondary'}
+                size="sm"
+                onClick={() => setMode('camera')}
+              >
+                <Camera size={14} className="me-1" />
+                Camera
+              </Button>
+            )}
+            {isScreenCaptureSupported() && (
+              <Button
+                variant={mode === 'screen' ? 'primary' : 'outline-secondary'}
+                size="sm"
+                onClick={() => setMode('screen')}
+              >
+                <ScreenShare size={14} className="me-1" />
+                Screen
+              </Button>
+            )}
+            {isLiveMonitorSupported() && (
+              <Button
+                variant={mode === 'live' ? 'primary' : 'outline-secondary'}
+                size="sm"
+                onClick={() => setMode('live')}
+              >
+                <Radio size={14} className="me-1" />
+                Live
+              </Button>
+            )}
+          </ButtonGroup>
+        )}
+
+        {!previewFile && mode === 'record' && (
+          <AudioRecorder onRecorded={onFileSelect} disabled={disabled} />
+        )}
+        {!previewFile && mode === 'camera' && (
+          <CameraCapture onCaptured={onFileSelect} disabled={disabled} />
+        )}
+        {!previewFile && mode === 'screen' && (
+          <ScreenCapture onCaptured={onFileSelect} disabled={disabled} />
+        )}
+        {!previewFile && mode === 'live' && (
+          <LiveMonitor disabled={disabled} />
+        )}
+        {!previewFile && mode === 'upload' && (
+          <div
+            {...getRootProps()}
+            className={`text-center p-5 border rounded ${
+              dragActive || isDragActive 
+                ? 'border-primary bg-primary bg-opacity-10' 
+                : isDragReject 
+                  ? 'border-danger bg-danger bg-opacity-10'
+                  : 'border-dashed border-secondary'
+            } ${disabled ? 'cursor-not-allowed opacity-50' : 'cursor-pointer'}`}
+            style={{
+              borderStyle: 'dashed',
+              borderWidth: '2px',
+              transition: 'all 0.3s ease',
+            }}
+          >
+            <input {...getInputProps()} />
           
-          <h5 className="text-heading mb-2">
-            {isDragActive 
-              ? 'Drop your file here' 
-              : isDragReject
-                ? 'File not supported'
-                : 'Upload Media File'
-            }
-          </h5>
+            <Upload 
+              size={48} 
+              className={`mb-3 ${
+                dragActive || isDragActive ? 'text-primary' : 'text-muted'
+              }`} 
+            />
           
-          <p className="text-muted mb-3">
-            Drag and drop a file here, or click to browse
-          </p>
+            <h5 className="text-heading mb-2">
+              {isDragActive 
+                ? 'Drop your files here' 
+                : isDragReject
+                  ? 'File not supported'
+                  : 'Upload Media File'
+              }
+            </h5>
           
-          <Button 
-            className="btn-gradient mb-3"
-            disabled={disabled}
-          >
-            Choose File
-          </Button>
+            <p className="text-muted mb-3">
+              {onFilesSelect
+                ? 'Drag and drop files or whole folders here, or click to browse'
+                : 'Drag and drop a file here, or click to browse'}
+            </p>
           
-          <div className="small text-muted">
-            <div className="mb-2">
-              <strong>Supported formats:</strong>
-            </div>
-            {formats && (
-              <div>
-                <div>
-                  <strong>Audio:</strong> {formats.audio?.join(', ') || 'None'}
-                </div>
+            <Button 
+              className="btn-gradient mb-3"
+              disabled={disabled}
+            >
+              {onFilesSelect ? 'Choose Files' : 'Choose File'}
+            </Button>
+            {onFilesSelect && (
+              <Button
+                variant="outline-secondary"
+                className="ms-2 mb-3"
+                disabled={disabled}
+                onClick={openDirectoryPicker}
+              >
+                <FolderOpen size={16} className="me-2" />
+                Choose Folder
+              </Button>
+            )}
+          
+            <p className="small text-muted mb-3">
+              You can also paste an image or audio clip with Ctrl+V
+            </p>
+
+            <div className="small text-muted">
+              <div className="mb-2">
+                <strong>Supported formats:</strong>
+              </div>
+              {formats && (
                 <div>
-                  <strong>Images:</strong> {formats.image?.join(', ') || 'None'}
-                </div>
-                <div className="mt-2">
-                  <strong>Maximum size:</strong> 100MB
+                  <div>
+                    <strong>Audio:</strong> {formats.audio?.join(', ') || 'None'}
+                  </div>
+                  <div>
+                    <strong>Images:</strong> {formats.image?.join(', ') || 'None'}
+                  </div>
+                  <div>
+                    <strong>Video:</strong> {getVideoExtensions(formats).join(', ') || 'None'}
+                  </div>
+                  <div className="mt-2">
+                    <strong>Maximum size:</strong> 100MB
+                  </div>
+                  {formats.warnings?.length > 0 && (
+                    <div className="mt-2 text-warning">{formats.warnings.join(' ')}</div>
+                  )}
                 </div>
-              </div>
-            )}
+              )}
+            </div>
           </div>
-        </div>
+        )}
 
-        {error && (
-          <Alert variant="danger" className="mt-3">
-            <AlertCircle size={16} className="me-2" />
-            {error}
+        {onUrlSubmit && (
+          <Form className="mt-3" onSubmit={handleUrlSubmit}>
+            <InputGroup>
+              <InputGroup.Text className="bg-main border-subtle text-muted">
+                <Link2 size={16} />
+              </InputGroup.Text>
+              <Form.Control
+                type="url"
+                placeholder="https://example.com/voice-note.mp3"
+                aria-label="Media URL"
+                className="bg-main text-heading border-subtle"
+                value={mediaUrl}
+                onChange={(e) => setMediaUrl(e.target.value)}
+                disabled={disabled}
+              />
+              <Button type="submit" className="btn-gradient" disabled={disabled || !mediaUrl.trim()}>
+                Analyze URL
+              </Button>
+            </InputGroup>
+          </Form>
+        )}
+
+        {/* Outside the dropzone so its click does not reach the dropzone root */}
+        <input
+          ref={directoryInputRef}
+          type="file"
+          webkitdirectory=""
+          multiple
+          className="d-none"
+          onChange={onDirectorySelect}
+        />
+
+        {skippedFiles.length > 0 && (
+          <Alert variant="warning" className="mt-3 mb-0" dismissible onClose={() => setSkippedFiles([])}>
+            <Alert.Heading className="h6">
+              Skipped {skippedFiles.length} {skippedFiles.length === 1 ? 'file' : 'files'}
+            </Alert.Heading>
+            <ul className="small mb-0 ps-3" style={{ maxHeight: '200px', overflowY: 'auto' }}>
+              {skippedFiles.map(skipped => (
+                <li key={skipped.path}>
+                  <span className="text-break">{skipped.path}</span>
+                  <span className="text-muted"> - {skipped.reason}</span>
+                </li>
+              ))}
+            </ul>
           </Alert>
         )}
+
+        <ApiErrorAlert error={error} apiError={apiError} onRetry={onRetry} />
       </Card.Body>
     </Card>
   );
@@ -325,8 +587,9 @@ function getMimeTypeFromExtension(ext) {
     '.webp': 'image/webp',
     '.tiff': 'image/tiff',
     
-    // Video formats (if needed in future)
+    // Video formats (frames are sampled client-side)
     '.mp4': 'video/mp4',
+    '.m4v': 'video/x-m4v',
     '.avi': 'video/x-msvideo',
     '.mov': 'video/quicktime',
     '.webm': 'video/webm'
@@ -0,0 +1,186 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Button, ProgressBar, Alert, Badge, Form } from 'react-bootstrap';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { Radio, Square, AlertTriangle } from 'lucide-react';
+import { useAudioCalibration, useLiveDetection, useLiveMonitorSettings } from '../hooks/useApi';
+import { DetectionResult } from '../types/api';
+import { formatDuration, formatOffset, getAudioContextClass } from '../utils/audio';
+import { LIVE_HOP_SECONDS, LIVE_WINDOW_SECONDS } from '../utils/liveAudio';
+
+const CHART_SECONDS = 60;
+const ALERT_AFTER_OPTIONS = [1, 2, 3, 4, 5, 6, 8, 10];
+
+export function isLiveMonitorSupported() {
+  return Boolean(navigator.mediaDevices?.getUserMedia && window.AudioWorkletNode && getAudioContextClass());
+}
+
+function getPointColor(detectionResult) {
+  switch (detectionResult) {
+    case DetectionResult.FAKE:
+      return '#dc3545';
+    case DetectionResult.UNCERTAIN:
+      return '#ffc107';
+    default:
+      return '#28a745';
+  }
+}
+
+// Continuous check of the microphone, e.g. during a call on speakerphone.
+// Rolling windows are scored under the current audio calibration and plotted
+// as they come back; a run of fake windows raises an alert.
+export default function LiveMonitor({ disabled = false }) {
+  const { config } = useAudioCalibration();
+  const { settings, setSettings } = useLiveMonitorSettings();
+  const live = useLiveDetection(config);
+  const [alertCount, setAlertCount] = useState(0);
+  const { playAlert } = live;
+
+  const isAlerting = live.consecutiveFakes >= settings.alertAfter;
+  const soundAlertRef = useRef(settings.soundAlert);
+
+  useEffect(() => {
+    soundAlertRef.current = settings.soundAlert;
+  }, [settings.soundAlert]);
+
+  // Count and sound each new run only once, not every window it goes on for
+  useEffect(() => {
+    if (!isAlerting) return;
+    setAlertCount(count => count + 1);
+    if (soundAlertRef.current) playAlert();
+  }, [isAlerting, playAlert]);
+
+  const start = () => {
+    setAlertCount(0);
+    live.start();
+  };
+
+  const scored = live.windows.filter(item => item.detection_result);
+  const chartData = scored.map(item => ({
+    time: item.end,
+    fake: item.fake_probability * 100,
+    result: item.detection_result,
+  }));
+  const latest = live.windows.length ? live.windows[live.windows.length - 1].end : 0;
+  const domainEnd = Math.max(CHART_SECONDS, latest);
+  const pending = live.windows.filter(item => !item.detection_result && !item.failed).length;
+
+  return (
+    <div className="p-4 border rounded border-secondary" style={{ borderStyle: 'dashed', borderWidth: '2px' }}>
+      <div className="text-center">
+        <Radio size={48} className={`mb-3 ${live.isRunning ? 'text-danger' : 'text-muted'}`} />
+        <h5 className="text-heading mb-2">Live Monitoring</h5>
+        <p className="text-muted mb-3">
+          Scores the last {LIVE_WINDOW_SECONDS} seconds of microphone input every {LIVE_HOP_SECONDS} seconds
+          with your current audio calibration. Nothing is stored.
+        </p>
+
+        {live.isRunning ? (
+          <>
+            <ProgressBar
+              now={live.level * 100}
+              variant={live.level > 0.9 ? 'danger' : 'success'}
+              className="mb-3 mx-auto"
+              style={{ height: '10px', maxWidth: '320px' }}
+              aria-label="Input level"
+            />
+            <Button variant="outline-danger" onClick={live.stop}>
+              <Square size={16} className="me-2" />
+              Stop Monitoring
+            </Button>
+          </>
+        ) : (
+          <Button className="btn-gradient" onClick={start} disabled={disabled}>
+            <Radio size={16} className="me-2" />
+            Start Monitoring
+          </Button>
+        )}
+      </div>
+
+      <div className="d-flex flex-wrap justify-content-center align-items-center gap-3 mt-3">
+        <Form.Group className="d-flex align-items-center gap-2">
+          <Form.Label className="text-muted small mb-0">Alert after</Form.Label>
+          <Form.Select
+            size="sm"
+            style={{ width: 'auto' }}
+            value={settings.alertAfter}
+            onChange={(e) => setSettings({ alertAfter: Number(e.target.value) })}
+          >
+            {ALERT_AFTER_OPTIONS.map(count => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </Form.Select>
+          <span className="text-muted small">consecutive fake windows</span>
+        </Form.Group>
+        <Form.Check
+          type="switch"
+          id="live-sound-alert"
+          className="small text-muted"
+          label="Sound"
+          checked={settings.soundAlert}
+          onChange={(e) => setSettings({ soundAlert: e.target.checked })}
+        />
+      </div>
+
+      {isAlerting && (
+        <Alert variant="danger" className="mt-3 mb-0 d-flex align-items-center">
+          <AlertTriangle size={18} className="me-2 flex-shrink-0" />
+          Possible synthetic voice: the last {live.consecutiveFakes} windows were classified fake.
+        </Alert>
+      )}
+
+      {live.windows.length > 0 && (
+        <>
+          <div className="d-flex flex-wrap gap-2 mt-3">
+            <Badge bg="secondary">{formatDuration(latest)} monitored</Badge>
+            <Badge bg="secondary">{scored.length} windows scored</Badge>
+            {pending > 0 && <Badge bg="secondary">{pending} waiting</Badge>}
+            {live.droppedCount > 0 && (
+              <Badge bg="warning" text="dark" title="Skipped while the backend was still busy with earlier windows">
+                {live.droppedCount} skipped
+              </Badge>
+            )}
+            <Badge bg={alertCount > 0 ? 'danger' : 'secondary'}>{alertCount} alerts</Badge>
+          </div>
+
+          <ResponsiveContainer width="100%" height={200} className="mt-3">
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis
+                dataKey="time"
+                type="number"
+                domain={[domainEnd - CHART_SECONDS, domainEnd]}
+                allowDataOverflow
+                tickFormatter={formatOffset}
+                stroke="#9CA3AF"
+              />
+              <YAxis domain={[0, 100]} unit="%" stroke="#9CA3AF" />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: '#1f2937',
+                  border: '1px solid #374151',
+                  borderRadius: '8px'
+                }}
+                labelFormatter={formatOffset}
+                formatter={(value) => [`${Number(value).toFixed(1)}%`, 'Fake probability']}
+              />
+              <ReferenceLine y={config.threshold * 100} stroke="#dc3545" strokeDasharray="4 4" />
+              <Line
+                type="monotone"
+                dataKey="fake"
+                stroke="#3b82f6"
+                isAnimationActive={false}
+                dot={({ key, cx, cy, payload }) => (
+                  <circle key={key} cx={cx} cy={cy} r={3} fill={getPointColor(payload.result)} stroke="none" />
+                )}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+
+      {live.error && (
+        <Alert variant="warning" className="mt-3 mb-0">{live.error}</Alert>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { Card, Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { Lock, Key } from 'lucide-react';
+import { AuthMode } from '../services/auth';
+import ApiErrorAlert from './ApiErrorAlert';
+
+export default function LoginForm({
+  authMode,
+  onLogin,
+  onApiKeyLogin,
+  sessionExpired = false,
+  pendingFileName
+}) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [apiKey, setApiKey] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      if (authMode === AuthMode.API_KEY) {
+        await onApiKeyLogin(apiKey.trim());
+      } else {
+        await onLogin(username, password);
+      }
+    } catch (loginError) {
+      setError(loginError);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="bg-card border-subtle shadow">
+      <Card.Header>
+        <Card.Title className="text-heading mb-0 d-flex align-items-center">
+          {authMode === AuthMode.API_KEY ? <Key size={18} className="me-2" /> : <Lock size={18} className="me-2" />}
+          Sign in to DeepGuard
+        </Card.Title>
+      </Card.Header>
+      <Card.Body>
+        {sessionExpired && (
+          <Alert variant="warning">
+            Your session has expired. Please sign in again.
+          </Alert>
+        )}
+        {pendingFileName && (
+          <Alert variant="info">
+            <strong>{pendingFileName}</strong> will be analyzed as soon as you are signed in.
+          </Alert>
+        )}
+
+        <Form onSubmit={handleSubmit}>
+          {authMode === AuthMode.API_KEY ? (
+            <Form.Group className="mb-3" controlId="login-api-key">
+              <Form.Label className="text-heading">API key</Form.Label>
+              <Form.Control
+                type="password"
+                autoComplete="off"
+                className="bg-main text-muted border-subtle"
+                value={apiKey}
+                onChange={(e) => setApiKey(e.target.value)}
+                required
+              />
+            </Form.Group>
+          ) : (
+            <>
+              <Form.Group className="mb-3" controlId="login-username">
+                <Form.Label className="text-heading">Username</Form.Label>
+                <Form.Control
+                  type="text"
+                  autoComplete="username"
+                  className="bg-main text-muted border-subtle"
+                  value={username}
+                  onChange={(e) => setUsername(e.target.value)}
+                  required
+                />
+              </Form.Group>
+              <Form.Group className="mb-3" controlId="login-password">
+                <Form.Label className="text-heading">Password</Form.Label>
+                <Form.Control
+                  type="password"
+                  autoComplete="current-password"
+                  className="bg-main text-muted border-subtle"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                />
+              </Form.Group>
+            </>
+          )}
+
+          <Button className="btn-gradient w-100" type="submit" disabled={isSubmitting}>
+            {isSubmitting ? <Spinner animation="border" size="sm" /> : 'Sign in'}
+          </Button>
+        </Form>
+
+        {error && (
+          <ApiErrorAlert error={error.message} apiError={error} />
+        )}
+      </Card.Body>
+    </Card>
+  );
+}
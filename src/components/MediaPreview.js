@@ -0,0 +1,383 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Button, Badge, Spinner, Alert } from 'react-bootstrap';
+import { Search, X, Play, Pause, AlertTriangle } from 'lucide-react';
+import Waveform from './Waveform';
+import { useAudioQualitySettings } from '../hooks/useApi';
+import { computePeaks, decodeAudio, encodeWav, extractRegions, formatDuration, formatOffset, mergeRegions, readAudioSampleRate } from '../utils/audio';
+import { analyzeAudioQuality, detectSpeechRegions } from '../utils/audioQuality';
+import { getMimeTypeForName } from '../utils/fileIngest';
+import { sniffFileType } from '../utils/fileSignature';
+import { isVideoFile } from '../utils/video';
+
+const WAVEFORM_BUCKETS = 600;
+
+function formatFileSize(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+// Image thumbnail with pixel dimensions and the sniffed format
+function ImagePreview({ file, url }) {
+  const [dimensions, setDimensions] = useState(null);
+  const [format, setFormat] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    sniffFileType(file).then(type => {
+      if (!cancelled) setFormat(type?.format || null);
+    });
+    return () => { cancelled = true; };
+  }, [file]);
+
+  const handleLoad = (event) => {
+    const { naturalWidth, naturalHeight } = event.target;
+    setDimensions({ width: naturalWidth, height: naturalHeight });
+  };
+
+  return (
+    <>
+      <img
+        src={url}
+        alt={file.name}
+        onLoad={handleLoad}
+        className="rounded mb-3 d-block mx-auto"
+        style={{ maxWidth: '100%', maxHeight: '320px', objectFit: 'contain' }}
+      />
+      <div className="d-flex justify-content-center flex-wrap gap-2 mb-3">
+        {dimensions && <Badge bg="secondary">{dimensions.width} x {dimensions.height} px</Badge>}
+        {format && <Badge bg="secondary">{format}</Badge>}
+        <Badge bg="secondary">{formatFileSize(file.size)}</Badge>
+      </div>
+    </>
+  );
+}
+
+// Playable video with duration and resolution; frames are sampled from it on confirm
+function VideoPreview({ file, url }) {
+  const [info, setInfo] = useState(null);
+
+  const handleLoadedMetadata = (event) => {
+    const { duration, videoWidth, videoHeight } = event.target;
+    setInfo({ duration, width: videoWidth, height: videoHeight });
+  };
+
+  return (
+    <>
+      <video
+        src={url}
+        controls
+        muted
+        playsInline
+        onLoadedMetadata={handleLoadedMetadata}
+        className="rounded mb-3 d-block mx-auto"
+        style={{ maxWidth: '100%', maxHeight: '320px' }}
+      />
+      <div className="d-flex justify-content-center flex-wrap gap-2 mb-2">
+        {info && Number.isFinite(info.duration) && <Badge bg="secondary">{formatDuration(info.duration)}</Badge>}
+        {info?.width > 0 && <Badge bg="secondary">{info.width} x {info.height} px</Badge>}
+        <Badge bg="secondary">{formatFileSize(file.size)}</Badge>
+      </div>
+      <div className="small text-muted text-center mb-3">
+        Frames are sampled at the rate set on the Settings page and each one is scored by the image model.
+      </div>
+    </>
+  );
+}
+
+const MIN_REGION_SECONDS = 0.5;
+const MODEL_SEGMENT_SECONDS = 3; // RawNetLite analyzes 3-second segments
+
+// Whether speech regions leave out enough to be worth selecting
+function isPartial(regions, duration) {
+  const seconds = regions.reduce((total, region) => total + region.end - region.start, 0);
+  return regions.length > 0 && seconds < duration - MIN_REGION_SECONDS;
+}
+
+function describeQuality(quality) {
+  return [
+    `RMS ${quality.rms_dbfs.toFixed(0)} dBFS`,
+    quality.snr_db !== null && `SNR about ${quality.snr_db.toFixed(0)} dB`,
+    `${(quality.silence_ratio * 100).toFixed(0)}% silence`,
+    `${(quality.clipping_ratio * 100).toFixed(2)}% clipped`,
+  ].filter(Boolean).join(', ');
+}
+
+function getBaseName(name) {
+  const index = name.lastIndexOf('.');
+  return index > 0 ? name.slice(0, index) : name;
+}
+
+// Playable waveform with duration, sample rate, channel count and a warning
+// for low-quality audio. Dragging across the waveform selects regions to
+// analyze; a plain click seeks. `onDecoded(audioBuffer, speechRegions)`.
+function AudioPreview({ file, url, onDecoded, regions, onRegionsChange }) {
+  const [info, setInfo] = useState(null); // { peaks, duration, channels, sampleRate, quality, speechRegions }
+  const [error, setError] = useState(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [draft, setDraft] = useState(null); // Region being dragged, { start, end } in seconds
+  const audioRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setInfo(null);
+    setError(null);
+    Promise.all([decodeAudio(file), readAudioSampleRate(file).catch(() => null)])
+      .then(([audioBuffer, sampleRate]) => {
+        if (cancelled) return;
+        const speechRegions = detectSpeechRegions(audioBuffer);
+        onDecoded(audioBuffer, speechRegions);
+        setInfo({
+          peaks: computePeaks(audioBuffer, WAVEFORM_BUCKETS),
+          duration: audioBuffer.duration,
+          channels: audioBuffer.numberOfChannels,
+          sampleRate,
+          quality: analyzeAudioQuality(audioBuffer),
+          speechRegions,
+        });
+      })
+      .catch(() => {
+        if (!cancelled) setError('This browser cannot decode the file, so no waveform can be shown. It can still be analyzed.');
+      });
+    return () => { cancelled = true; };
+  }, [file, onDecoded]);
+
+  const togglePlayback = () => {
+    const audio = audioRef.current;
+    if (audio.paused) {
+      audio.play();
+    } else {
+      audio.pause();
+    }
+  };
+
+  const seek = (time) => {
+    audioRef.current.currentTime = time;
+    setCurrentTime(time);
+  };
+
+  const getTimeAt = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    return fraction * info.duration;
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { anchor: getTimeAt(event), x: event.clientX };
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragRef.current) return;
+    const time = getTimeAt(event);
+    const { anchor } = dragRef.current;
+    setDraft({ start: Math.min(anchor, time), end: Math.max(anchor, time) });
+  };
+
+  const handlePointerUp = (event) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    setDraft(null);
+    if (!drag) return;
+
+    if (Math.abs(event.clientX - drag.x) < 4) {
+      seek(drag.anchor);
+      return;
+    }
+    const time = getTimeAt(event);
+    const region = { start: Math.min(drag.anchor, time), end: Math.max(drag.anchor, time) };
+    if (region.end - region.start >= MIN_REGION_SECONDS) {
+      onRegionsChange(mergeRegions([...regions, region]));
+    }
+  };
+
+  const toPercent = (seconds) => `${(seconds / info.duration) * 100}%`;
+  const selectedSeconds = regions.reduce((total, region) => total + region.end - region.start, 0);
+
+  return (
+    <>
+      <audio
+        ref={audioRef}
+        src={url}
+        onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onEnded={() => setIsPlaying(false)}
+        className="d-none"
+      />
+
+      {!info && !error && (
+        <div className="text-center p-4">
+          <Spinner animation="border" size="sm" className="me-2" />
+          <span className="text-muted">Decoding audio...</span>
+        </div>
+      )}
+      {error && <Alert variant="secondary" className="small">{error}</Alert>}
+
+      {info && (
+        <div
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          style={{ touchAction: 'none' }}
+        >
+          <Waveform
+            peaks={info.peaks}
+            duration={info.duration}
+            currentTime={currentTime}
+            className="mb-2 bg-main rounded"
+          >
+            {[...regions, ...(draft ? [draft] : [])].map((region, index) => (
+              <div
+                key={index}
+                className="position-absolute top-0 bottom-0 bg-warning bg-opacity-25 border-start border-end border-warning"
+                style={{ left: toPercent(region.start), width: toPercent(region.end - region.start), pointerEvents: 'none' }}
+              />
+            ))}
+          </Waveform>
+        </div>
+      )}
+
+      <div className="d-flex align-items-center justify-content-center flex-wrap gap-2 mb-2">
+        <Button size="sm" variant="outline-info" onClick={togglePlayback}>
+          {isPlaying ? <Pause size={14} /> : <Play size={14} />}
+        </Button>
+        {info && (
+          <>
+            <Badge bg="secondary">{formatDuration(currentTime)} / {formatDuration(info.duration)}</Badge>
+            <Badge bg="secondary">{info.sampleRate ? `${info.sampleRate.toLocaleString()} Hz` : 'Sample rate unknown'}</Badge>
+            <Badge bg="secondary">{info.channels === 1 ? 'Mono' : info.channels === 2 ? 'Stereo' : `${info.channels} channels`}</Badge>
+            {info.quality.is_low_quality && (
+              <Badge bg="warning" text="dark" title={describeQuality(info.quality)}>
+                <AlertTriangle size={12} className="me-1" />
+                Low quality: {info.quality.issues.join(', ')}
+              </Badge>
+            )}
+          </>
+        )}
+        <Badge bg="secondary">{formatFileSize(file.size)}</Badge>
+      </div>
+
+      {info && (
+        <div className="small text-muted text-center mb-3">
+          {regions.length === 0 ? (
+            <>
+              Drag across the waveform to analyze only part of the recording; otherwise the whole file is sent.
+              {isPartial(info.speechRegions, info.duration) && (
+                <div>
+                  <Button size="sm" variant="link" className="p-0" onClick={() => onRegionsChange(info.speechRegions)}>
+                    Select speech only
+                  </Button>
+                </div>
+              )}
+            </>
+          ) : (
+            <>
+              <div className="d-flex justify-content-center flex-wrap gap-2 mb-1">
+                {regions.map((region, index) => (
+                  <Badge key={`${region.start}-${region.end}`} bg="warning" text="dark" className="d-flex align-items-center">
+                    {formatOffset(region.start)} - {formatOffset(region.end)}
+                    <X
+                      size={12}
+                      className="ms-1"
+                      style={{ cursor: 'pointer' }}
+                      onClick={() => onRegionsChange(regions.filter((_, i) => i !== index))}
+                    />
+                  </Badge>
+                ))}
+                <Button size="sm" variant="link" className="p-0" onClick={() => onRegionsChange([])}>
+                  Clear
+                </Button>
+              </div>
+              {formatOffset(selectedSeconds)} selected; the regions are joined into one clip before upload.
+              {regions.some(region => region.end - region.start < MODEL_SEGMENT_SECONDS) && (
+                <div className="text-warning">
+                  The audio model looks at {MODEL_SEGMENT_SECONDS}-second segments; shorter regions give less reliable results.
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
+
+// Preview of a selected file so the user can confirm it is the right one
+// before spending a full analysis round trip on it. For audio, selected
+// regions are cut out client-side and sent as a WAV in place of the file;
+// `onConfirm(file, { regions, sourceDuration })` reports which spans were used.
+export default function MediaPreview({ file, onConfirm, onCancel, disabled = false }) {
+  const [url, setUrl] = useState(null);
+  const [regions, setRegions] = useState([]);
+  const audioBufferRef = useRef(null);
+  const { autoSelectSpeech } = useAudioQualitySettings().settings;
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    setRegions([]);
+    audioBufferRef.current = null;
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  const handleDecoded = useCallback((audioBuffer, speechRegions) => {
+    audioBufferRef.current = audioBuffer;
+    if (autoSelectSpeech && isPartial(speechRegions, audioBuffer.duration)) {
+      setRegions(speechRegions);
+    }
+  }, [autoSelectSpeech]);
+
+  const handleConfirm = () => {
+    const audioBuffer = audioBufferRef.current;
+    if (regions.length === 0 || !audioBuffer) {
+      onConfirm(file);
+      return;
+    }
+    const trimmed = encodeWav(extractRegions(audioBuffer, regions));
+    const trimmedFile = new File([trimmed], `${getBaseName(file.name)}-regions.wav`, { type: 'audio/wav' });
+    onConfirm(trimmedFile, { regions, sourceDuration: audioBuffer.duration, sourceName: file.name });
+  };
+
+  // Some platforms report no type for e.g. .m4a and .flac; go by the extension then
+  const mimeType = file.type && file.type !== 'application/octet-stream' ? file.type : getMimeTypeForName(file.name);
+  const isAudio = mimeType.startsWith('audio/');
+  const isVideo = isVideoFile(file);
+
+  return (
+    <div className="p-3 border rounded border-secondary">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <span className="text-heading text-break">{file.name}</span>
+        <Button variant="outline-secondary" size="sm" onClick={onCancel} title="Choose a different file">
+          <X size={16} />
+        </Button>
+      </div>
+
+      {url && (isAudio
+        ? (
+          <AudioPreview
+            file={file}
+            url={url}
+            onDecoded={handleDecoded}
+            regions={regions}
+            onRegionsChange={setRegions}
+          />
+        )
+        : isVideo
+          ? <VideoPreview file={file} url={url} />
+          : <ImagePreview file={file} url={url} />
+      )}
+
+      <div className="text-center">
+        <Button className="btn-gradient me-2" onClick={handleConfirm} disabled={disabled}>
+          <Search size={16} className="me-2" />
+          {regions.length > 0 ? 'Analyze Selection' : 'Analyze'}
+        </Button>
+        <Button variant="outline-secondary" onClick={onCancel}>
+          Cancel
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,20 @@
 import React from 'react';
 import { Card, Row, Col, Badge, Table, ProgressBar, Alert } from 'react-bootstrap';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
-import { Clock, Cpu, FileText, Volume2, Image as ImageIcon, AlertCircle, CheckCircle, HelpCircle } from 'lucide-react';
+import { Clock, Cpu, FileText, Volume2, Image as ImageIcon, Video, AlertCircle, CheckCircle, HelpCircle, ScreenShare } from 'lucide-react';
+import { useAudioPlayback } from '../hooks/useApi';
 import { DetectionResult, FileType } from '../types/api';
+import { formatOffset } from '../utils/audio';
+import AudioInspector from './AudioInspector';
+import AudioSegmentTimeline from './AudioSegmentTimeline';
+import VideoFrameTimeline from './VideoFrameTimeline';
+
+// getDisplayMedia's displaySurface values
+const CAPTURE_SURFACES = {
+  browser: 'tab',
+  window: 'window',
+  monitor: 'screen',
+};
 
 function getResultIcon(result, size = 24) {
   switch (result) {
@@ -37,58 +49,44 @@ function getFileTypeIcon(fileType, size = 20) {
     case FileType.IMAGE:
       return <ImageIcon size={size} className="text-success" />;
     case FileType.VIDEO:
-      return <FileText size={size} className="text-warning" />;
+      return <Video size={size} className="text-warning" />;
     default:
       return <FileText size={size} className="text-secondary" />;
   }
 }
 
-export default function ResultsVisualization({ result, className = '' }) {
-  const { detection_result, confidence_score, file_type, processing_time_ms, metadata, timestamp } = result;
+// `file` is the analyzed file, used for the audio waveform, spectrogram and playback
+export default function ResultsVisualization({ result, file, className = '' }) {
+  // `result` is normalized by services/schema.js, so every field below exists,
+  // though processing_time_ms, file_hash and probabilities may be null
+  const { detection_result, confidence_score, file_type, processing_time_ms, metadata, timestamp, probabilities, warnings } = result;
+  // One player shared by the audio panels; results fetched by the backend from a link have no local file
+  const playback = useAudioPlayback(file_type === FileType.AUDIO ? file : null);
 
   // Prepare probability data for visualization
   const probabilityData = React.useMemo(() => {
-    if (!metadata) return [];
-
-    const data = [];
+    if (!probabilities) return [];
 
-    // For audio files with detailed probability breakdown
-    if (metadata.prob_fake !== undefined && metadata.prob_real !== undefined) {
-      data.push(
-        { name: 'Real', value: metadata.prob_real * 100, color: '#28a745' },
-        { name: 'Fake', value: metadata.prob_fake * 100, color: '#dc3545' }
-      );
-    }
-    // For image files
-    else if (metadata.real_probability !== undefined && metadata.fake_probability !== undefined) {
-      data.push(
-        { name: 'Real', value: metadata.real_probability * 100, color: '#28a745' },
-        { name: 'Fake', value: metadata.fake_probability * 100, color: '#dc3545' }
-      );
-    }
-    // Fallback to confidence score
-    else {
-      const realProb = detection_result === DetectionResult.REAL ? confidence_score * 100 : (1 - confidence_score) * 100;
-      const fakeProb = 100 - realProb;
-      data.push(
-        { name: 'Real', value: realProb, color: '#28a745' },
-        { name: 'Fake', value: fakeProb, color: '#dc3545' }
-      );
-    }
+    return [
+      { name: 'Real', value: probabilities.real * 100, color: '#28a745' },
+      { name: 'Fake', value: probabilities.fake * 100, color: '#dc3545' }
+    ];
+  }, [probabilities]);
 
-    return data;
-  }, [metadata, confidence_score, detection_result]);
+  // Measured in the browser before upload (see utils/audioQuality)
+  const audioQuality = result.audio_quality;
 
   // Prepare technical details for audio models
   const audioTechnicalData = React.useMemo(() => {
-    if (!metadata || file_type !== FileType.AUDIO) return [];
+    // Segmented results have no single raw output
+    if (!metadata || file_type !== FileType.AUDIO || result.segment_analysis) return [];
 
     return [
       { name: 'Raw Logit', value: metadata.raw_logit || 0 },
       { name: 'Sigmoid Output', value: metadata.sigmoid_output || 0 },
       { name: 'Threshold', value: metadata.threshold || 0.5 },
     ];
-  }, [metadata, file_type]);
+  }, [metadata, file_type, result.segment_analysis]);
 
   return (
     <div className={`results-visualization ${className}`}>
@@ -108,12 +106,46 @@ export default function ResultsVisualization({ result, className = '' }) {
                 {getFileTypeIcon(file_type, 16)}
                 <span className="ms-2">{file_type.toUpperCase()}</span>
               </Badge>
+              {result.capture && (
+                <Badge bg="info" className="fs-6 px-3 py-2">
+                  <ScreenShare size={16} />
+                  <span className="ms-2">CAPTURE</span>
+                </Badge>
+              )}
             </div>
             <div className="text-muted">
               <Clock size={16} className="me-1" />
-              Processed in {processing_time_ms.toFixed(0)}ms
+              {processing_time_ms !== null
+                ? `Processed in ${processing_time_ms.toFixed(0)}ms`
+                : 'Processing time not reported'}
             </div>
           </div>
+
+          {result.file_warnings?.length > 0 && (
+            <Alert variant="warning" className="mb-3">
+              <AlertCircle size={16} className="me-2" />
+              <strong>File check:</strong> {result.file_warnings.join(' ')}
+            </Alert>
+          )}
+
+          {result.preprocessing?.note && (
+            <Alert variant="warning" className="mb-3">
+              <AlertCircle size={16} className="me-2" />
+              <strong>Preprocessing:</strong> {result.preprocessing.note}.
+            </Alert>
+          )}
+
+          {warnings?.length > 0 && (
+            <Alert variant="warning" className="mb-0">
+              <AlertCircle size={16} className="me-2" />
+              <strong>Degraded result:</strong> the backend response was incomplete.
+              <ul className="mb-0 mt-2 small">
+                {warnings.map((warning) => (
+                  <li key={warning}>{warning}</li>
+                ))}
+              </ul>
+            </Alert>
+          )}
         </Card.Body>
       </Card>
 
@@ -125,6 +157,9 @@ export default function ResultsVisualization({ result, className = '' }) {
               <Card.Title className="text-heading mb-0">Probability Analysis</Card.Title>
             </Card.Header>
             <Card.Body>
+              {probabilities?.estimated && (
+                <div className="small text-muted mb-2">Estimated from the confidence score</div>
+              )}
               {probabilityData.length > 0 && (
                 <ResponsiveContainer width="100%" height={200}>
                   <PieChart>
@@ -185,9 +220,100 @@ export default function ResultsVisualization({ result, className = '' }) {
                     <td className="text-muted">Backend</td>
                     <td className="text-heading">{metadata?.backend || 'Unknown'}</td>
                   </tr>
+                  {result.served_by && (
+                    <tr>
+                      <td className="text-muted">Served By</td>
+                      <td className="text-heading" title={result.served_by.url}>{result.served_by.name}</td>
+                    </tr>
+                  )}
+                  {result.correlation_id && (
+                    <tr>
+                      <td className="text-muted">Request ID</td>
+                      <td className="text-heading font-monospace small">{result.correlation_id}</td>
+                    </tr>
+                  )}
+                  {result.cached_correlation_id && (
+                    <tr>
+                      <td className="text-muted">Request ID</td>
+                      <td className="text-heading small">
+                        <span className="font-monospace">{result.cached_correlation_id}</span>
+                        <span className="text-muted ms-2">(earlier run, result from cache)</span>
+                      </td>
+                    </tr>
+                  )}
+                  {metadata?.source_url && (
+                    <tr>
+                      <td className="text-muted">Source URL</td>
+                      <td className="text-heading text-break small">
+                        <a href={metadata.source_url} target="_blank" rel="noopener noreferrer">
+                          {metadata.source_url}
+                        </a>
+                      </td>
+                    </tr>
+                  )}
+                  {result.capture && (
+                    <tr>
+                      <td className="text-muted">Captured From</td>
+                      <td className="text-heading text-break small">
+                        {result.capture.source}
+                        <div className="text-muted">
+                          {result.capture.kind === 'tab_audio'
+                            ? `${formatOffset(result.capture.duration_seconds)} of shared tab audio`
+                            : `Still of a shared ${CAPTURE_SURFACES[result.capture.display_surface] || 'screen'}`}
+                          {' '}at {new Date(result.capture.captured_at).toLocaleTimeString()}
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                  {result.analyzed_regions && (
+                    <tr>
+                      <td className="text-muted">Analyzed Regions</td>
+                      <td className="text-heading small">
+                        {result.analyzed_regions.regions
+                          .map(region => `${formatOffset(region.start)} - ${formatOffset(region.end)}`)
+                          .join(', ')}
+                        <div className="text-muted">
+                          of {result.analyzed_regions.source_file} ({formatOffset(result.analyzed_regions.source_duration)})
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                  {result.relative_path && (
+                    <tr>
+                      <td className="text-muted">Source Path</td>
+                      <td className="text-heading text-break small">{result.relative_path}</td>
+                    </tr>
+                  )}
+                  {result.video_analysis && (
+                    <tr>
+                      <td className="text-muted">Frame Sampling</td>
+                      <td className="text-heading small">
+                        {result.video_analysis.frames.length} frames at up to {result.video_analysis.frames_per_second} per second
+                        <div className="text-muted">{result.video_analysis.resolution} source video</div>
+                      </td>
+                    </tr>
+                  )}
+                  {result.preprocessing && (
+                    <tr>
+                      <td className="text-muted">Preprocessing</td>
+                      <td className="text-heading small">
+                        {result.preprocessing.resized
+                          ? `Downscaled ${result.preprocessing.original.width}x${result.preprocessing.original.height} to ${result.preprocessing.output.width}x${result.preprocessing.output.height}`
+                          : 'Not resized'}
+                        <div className="text-muted">
+                          {result.preprocessing.note || (result.preprocessing.metadata_removed.length > 0
+                            ? `Removed: ${result.preprocessing.metadata_removed.join(', ')}`
+                            : 'No metadata found')}
+                          {' '}({(result.preprocessing.original.size / 1024).toFixed(0)} KB to {(result.preprocessing.output.size / 1024).toFixed(0)} KB)
+                        </div>
+                      </td>
+                    </tr>
+                  )}
                   <tr>
                     <td className="text-muted">File Hash</td>
-                    <td className="text-heading font-monospace small">{result.file_hash.substring(0, 16)}...</td>
+                    <td className="text-heading font-monospace small">
+                      {result.file_hash ? `${result.file_hash.substring(0, 16)}...` : 'Not reported'}
+                    </td>
                   </tr>
                   <tr>
                     <td className="text-muted">Timestamp</td>
@@ -200,6 +326,23 @@ export default function ResultsVisualization({ result, className = '' }) {
         </Col>
       </Row>
 
+      {playback.canPlay && <audio {...playback.audioProps} className="d-none" />}
+
+      {/* Client-side view of the analyzed audio */}
+      {playback.canPlay && (
+        <AudioInspector
+          file={file}
+          playback={playback}
+          segments={result.segment_analysis?.segments}
+          threshold={result.segment_analysis?.threshold ?? metadata?.threshold}
+        />
+      )}
+
+      {/* Long audio analyzed window by window */}
+      {file_type === FileType.AUDIO && result.segment_analysis && (
+        <AudioSegmentTimeline analysis={result.segment_analysis} playback={playback} />
+      )}
+
       {/* Audio-Specific Analysis */}
       {file_type === FileType.AUDIO && metadata && (
         <Row>
@@ -242,8 +385,49 @@ export default function ResultsVisualization({ result, className = '' }) {
                         {metadata.interpretation_flipped ? 'Yes' : 'No'}
                       </td>
                     </tr>
+                    {audioQuality && (
+                      <>
+                        <tr>
+                          <td className="text-muted">Signal Quality</td>
+                          <td>
+                            <Badge bg={audioQuality.is_low_quality ? 'warning' : 'success'} text={audioQuality.is_low_quality ? 'dark' : undefined}>
+                              {audioQuality.is_low_quality ? `Low: ${audioQuality.issues.join(', ')}` : 'Good'}
+                            </Badge>
+                          </td>
+                        </tr>
+                        <tr>
+                          <td className="text-muted">RMS / Peak Level</td>
+                          <td className="text-heading">
+                            {audioQuality.rms_dbfs.toFixed(1)} / {audioQuality.peak_dbfs.toFixed(1)} dBFS
+                          </td>
+                        </tr>
+                        <tr>
+                          <td className="text-muted">Estimated SNR</td>
+                          <td className="text-heading">
+                            {audioQuality.snr_db !== null ? `${audioQuality.snr_db.toFixed(1)} dB` : 'n/a (no signal)'}
+                          </td>
+                        </tr>
+                        <tr>
+                          <td className="text-muted">Silence / Speech</td>
+                          <td className="text-heading">
+                            {(audioQuality.silence_ratio * 100).toFixed(0)}% / {(audioQuality.speech_ratio * 100).toFixed(0)}%
+                          </td>
+                        </tr>
+                        <tr>
+                          <td className="text-muted">Clipped Samples</td>
+                          <td className="text-heading">{(audioQuality.clipping_ratio * 100).toFixed(2)}%</td>
+                        </tr>
+                      </>
+                    )}
                   </tbody>
                 </Table>
+                {audioQuality?.is_low_quality && (
+                  <Alert variant="warning" className="mb-0">
+                    <AlertCircle size={16} className="me-2" />
+                    <strong>Low-quality audio:</strong> the model is unreliable on silent, clipped or noisy input, so treat
+                    this verdict with caution.
+                  </Alert>
+                )}
               </Card.Body>
             </Card>
           </Col>
@@ -272,6 +456,11 @@ export default function ResultsVisualization({ result, className = '' }) {
                     </BarChart>
                   </ResponsiveContainer>
                 )}
+                {result.segment_analysis && (
+                  <div className="text-muted small">
+                    Each segment has its own model output; see the Segment Timeline above.
+                  </div>
+                )}
 
                 {metadata.is_uncertain && (
                   <Alert variant="warning" className="mt-3">
@@ -287,6 +476,11 @@ export default function ResultsVisualization({ result, className = '' }) {
         </Row>
       )}
 
+      {/* Video frames scored by the image model */}
+      {file_type === FileType.VIDEO && result.video_analysis && (
+        <VideoFrameTimeline analysis={result.video_analysis} />
+      )}
+
       {/* Image-Specific Analysis */}
       {file_type === FileType.IMAGE && metadata && (
         <Row>
@@ -0,0 +1,256 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Button, Alert, Form, ProgressBar, Spinner } from 'react-bootstrap';
+import { ScreenShare, Image as ImageIcon, Mic, Square, X } from 'lucide-react';
+import { decodeAudio, encodeWav, formatDuration } from '../utils/audio';
+
+const RECORD_DURATIONS = [15, 30, 60, 120];
+
+export function isScreenCaptureSupported() {
+  return Boolean(navigator.mediaDevices?.getDisplayMedia);
+}
+
+function getStamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// What was shared, e.g. the tab title, for labelling the result
+function describeSource(stream) {
+  const track = stream.getVideoTracks()[0];
+  return {
+    source: track?.label || 'Shared screen',
+    display_surface: track?.getSettings().displaySurface || null, // browser | window | monitor
+  };
+}
+
+// Analysis of a shared tab, window or screen without saving anything first:
+// the tab's audio (e.g. a video call) is recorded for a set time and sent
+// window by window to the audio model, or a still of the shared picture is
+// sent to the image model. `onCaptured(file, { capture })` describes the source.
+export default function ScreenCapture({ onCaptured, disabled = false }) {
+  const [phase, setPhase] = useState('idle'); // idle | sharing | recording | processing
+  const [stream, setStream] = useState(null);
+  const [duration, setDuration] = useState(30);
+  const [elapsed, setElapsed] = useState(0);
+  const [error, setError] = useState(null);
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const recorderRef = useRef(null);
+  const timerRef = useRef(null);
+
+  const stopSharing = useCallback(() => {
+    clearInterval(timerRef.current);
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.onstop = null;
+      recorderRef.current.stop();
+    }
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    setStream(null);
+  }, []);
+
+  const startSharing = async () => {
+    setError(null);
+    try {
+      // Video is required by most browsers even when only the tab audio is wanted
+      const mediaStream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+      streamRef.current = mediaStream;
+      setStream(mediaStream);
+      setPhase('sharing');
+      // The browser's own "Stop sharing" button ends the video track
+      mediaStream.getVideoTracks()[0]?.addEventListener('ended', () => {
+        if (recorderRef.current?.state === 'recording') {
+          recorderRef.current.stop();
+        } else {
+          stopSharing();
+          setPhase('idle');
+        }
+      });
+    } catch (err) {
+      if (err.name !== 'NotAllowedError') {
+        setError('Screen sharing is not available.');
+      }
+    }
+  };
+
+  // The <video> element only exists once the sharing phase has rendered
+  useEffect(() => {
+    if (phase === 'sharing' && videoRef.current && stream) {
+      videoRef.current.srcObject = stream;
+    }
+  }, [phase, stream]);
+
+  const grabFrame = () => {
+    const video = videoRef.current;
+    if (!video?.videoWidth) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    const details = describeSource(stream);
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        setError('The frame could not be captured. Please try again.');
+        return;
+      }
+      // Lossless, so no compression artifacts of our own are added
+      const file = new File([blob], `screen-frame-${getStamp()}.png`, { type: 'image/png' });
+      stopSharing();
+      onCaptured(file, {
+        capture: { kind: 'screen_frame', ...details, captured_at: new Date().toISOString() },
+      });
+    }, 'image/png');
+  };
+
+  // Convert the browser's native recording to WAV, as for microphone recordings
+  const finishRecording = async (chunks, mimeType, details, seconds) => {
+    clearInterval(timerRef.current);
+    stopSharing();
+    setPhase('processing');
+    try {
+      const audioBuffer = await decodeAudio(new Blob(chunks, { type: mimeType }));
+      const file = new File([encodeWav(audioBuffer)], `tab-audio-${getStamp()}.wav`, { type: 'audio/wav' });
+      onCaptured(file, {
+        capture: { kind: 'tab_audio', ...details, duration_seconds: seconds, captured_at: new Date().toISOString() },
+      });
+    } catch {
+      setError('The captured audio could not be processed. Please try again.');
+      setPhase('idle');
+    }
+  };
+
+  const startRecording = () => {
+    setError(null);
+    const details = describeSource(stream);
+    const chunks = [];
+    const recorder = new MediaRecorder(new MediaStream(stream.getAudioTracks()));
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    const startedAt = Date.now();
+    recorder.onstop = () => finishRecording(chunks, recorder.mimeType, details, (Date.now() - startedAt) / 1000);
+    recorder.start();
+    recorderRef.current = recorder;
+
+    setElapsed(0);
+    timerRef.current = setInterval(() => {
+      const seconds = (Date.now() - startedAt) / 1000;
+      setElapsed(seconds);
+      if (seconds >= duration && recorder.state === 'recording') {
+        recorder.stop();
+      }
+    }, 250);
+    setPhase('recording');
+  };
+
+  const stopRecording = () => {
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop();
+    }
+  };
+
+  const cancelSharing = () => {
+    stopSharing();
+    setPhase('idle');
+  };
+
+  // End the share when leaving capture mode
+  useEffect(() => stopSharing, [stopSharing]);
+
+  const hasAudio = stream?.getAudioTracks().length > 0;
+
+  return (
+    <div className="text-center p-4 border rounded border-secondary" style={{ borderStyle: 'dashed', borderWidth: '2px' }}>
+      {phase === 'idle' && (
+        <>
+          <ScreenShare size={48} className="mb-3 text-muted" />
+          <h5 className="text-heading mb-2">Capture a Tab or Screen</h5>
+          <p className="text-muted mb-3">
+            Check the audio of a call in another tab, or an image shown on screen, without saving a file
+          </p>
+          <Button className="btn-gradient" onClick={startSharing} disabled={disabled}>
+            <ScreenShare size={16} className="me-2" />
+            Start Sharing
+          </Button>
+        </>
+      )}
+
+      {(phase === 'sharing' || phase === 'recording') && (
+        <>
+          <video
+            ref={videoRef}
+            autoPlay
+            playsInline
+            muted
+            className="w-100 rounded mb-3 bg-black"
+            style={{ maxHeight: '360px', objectFit: 'contain' }}
+          />
+
+          {phase === 'sharing' && (
+            <>
+              <div className="d-flex flex-wrap justify-content-center align-items-center gap-2 mb-2">
+                <Button className="btn-gradient" onClick={grabFrame} disabled={disabled}>
+                  <ImageIcon size={16} className="me-2" />
+                  Analyze Frame
+                </Button>
+                <Form.Select
+                  style={{ width: 'auto' }}
+                  value={duration}
+                  onChange={(e) => setDuration(Number(e.target.value))}
+                  disabled={!hasAudio}
+                  aria-label="Recording length"
+                >
+                  {RECORD_DURATIONS.map(seconds => (
+                    <option key={seconds} value={seconds}>{formatDuration(seconds)}</option>
+                  ))}
+                </Form.Select>
+                <Button className="btn-gradient" onClick={startRecording} disabled={disabled || !hasAudio}>
+                  <Mic size={16} className="me-2" />
+                  Analyze Audio
+                </Button>
+                <Button variant="outline-secondary" onClick={cancelSharing} title="Stop sharing">
+                  <X size={16} />
+                </Button>
+              </div>
+              {!hasAudio && (
+                <div className="text-muted small">
+                  No audio is being shared. To check a call, share its browser tab with tab audio turned on.
+                </div>
+              )}
+            </>
+          )}
+
+          {phase === 'recording' && (
+            <>
+              <div className="text-danger mb-2">
+                <span className="spinner-grow spinner-grow-sm me-2" role="status" />
+                Recording tab audio {formatDuration(elapsed)} of {formatDuration(duration)}
+              </div>
+              <ProgressBar
+                now={(elapsed / duration) * 100}
+                className="mb-3 mx-auto"
+                style={{ height: '10px', maxWidth: '320px' }}
+              />
+              <Button variant="outline-danger" onClick={stopRecording}>
+                <Square size={16} className="me-2" />
+                Stop and Analyze
+              </Button>
+            </>
+          )}
+        </>
+      )}
+
+      {phase === 'processing' && (
+        <>
+          <Spinner animation="border" variant="primary" className="mb-3" />
+          <div className="text-muted">Preparing captured audio...</div>
+        </>
+      )}
+
+      {error && (
+        <Alert variant="warning" className="mt-3 mb-0">{error}</Alert>
+      )}
+    </div>
+  );
+}
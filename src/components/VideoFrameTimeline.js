@@ -0,0 +1,85 @@
+import React from 'react';
+import { Card, Row, Col, Badge } from 'react-bootstrap';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, ReferenceDot } from 'recharts';
+import { Film } from 'lucide-react';
+import { DetectionResult } from '../types/api';
+import { formatOffset } from '../utils/audio';
+
+// Per-frame fake probability over the length of a video (see utils/video),
+// with the aggregate figures and thumbnails of the most suspicious frames
+export default function VideoFrameTimeline({ analysis }) {
+  // Results cached before frames were scored against the calibration used 50%
+  const { frames, top_frames: topFrames, aggregate, threshold = 0.5 } = analysis;
+
+  const chartData = React.useMemo(() => frames.map(frame => ({
+    time: frame.time,
+    fake: frame.fake_probability * 100,
+  })), [frames]);
+
+  return (
+    <Card className="bg-card border-subtle shadow mb-4">
+      <Card.Header>
+        <Card.Title className="text-heading mb-0">
+          <Film size={18} className="me-2" />
+          Frame Timeline
+        </Card.Title>
+      </Card.Header>
+      <Card.Body>
+        <div className="d-flex flex-wrap gap-2 mb-3">
+          <Badge bg="secondary">{frames.length} frames over {formatOffset(analysis.duration_seconds)}</Badge>
+          <Badge bg="secondary">Mean {(aggregate.mean_fake_probability * 100).toFixed(1)}% fake</Badge>
+          <Badge bg="secondary">Peak {(aggregate.max_fake_probability * 100).toFixed(1)}% fake</Badge>
+          <Badge bg={aggregate.fake_frame_share > 0 ? 'danger' : 'secondary'}>
+            {(aggregate.fake_frame_share * 100).toFixed(0)}% of frames above threshold
+          </Badge>
+        </div>
+
+        <ResponsiveContainer width="100%" height={220}>
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis
+              dataKey="time"
+              type="number"
+              domain={[0, analysis.duration_seconds]}
+              tickFormatter={formatOffset}
+              stroke="#9CA3AF"
+            />
+            <YAxis domain={[0, 100]} unit="%" stroke="#9CA3AF" />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: '#1f2937',
+                border: '1px solid #374151',
+                borderRadius: '8px'
+              }}
+              labelFormatter={formatOffset}
+              formatter={(value) => [`${Number(value).toFixed(1)}%`, 'Fake probability']}
+            />
+            <ReferenceLine y={threshold * 100} stroke="#dc3545" strokeDasharray="4 4" />
+            <Line type="monotone" dataKey="fake" stroke="#3b82f6" dot={false} isAnimationActive={false} />
+            {topFrames.map(frame => (
+              <ReferenceDot key={frame.index} x={frame.time} y={frame.fake_probability * 100} r={5} fill="#dc3545" stroke="none" />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+
+        <div className="text-heading mt-3 mb-2">Most suspicious frames</div>
+        <Row>
+          {topFrames.map(frame => (
+            <Col xs={6} md={3} key={frame.index} className="mb-2">
+              {frame.thumbnail && (
+                <img
+                  src={frame.thumbnail}
+                  alt={`Frame at ${formatOffset(frame.time)}`}
+                  className={`w-100 rounded border ${frame.detection_result === DetectionResult.FAKE ? 'border-danger' : 'border-secondary'}`}
+                />
+              )}
+              <div className="small text-muted mt-1">
+                {formatOffset(frame.time)} - {(frame.fake_probability * 100).toFixed(1)}% fake
+              </div>
+            </Col>
+          ))}
+        </Row>
+      </Card.Body>
+    </Card>
+  );
+}
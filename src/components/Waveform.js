@@ -0,0 +1,74 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Canvas waveform drawn from precomputed peaks (see utils/audio computePeaks),
+// with a playback cursor. Clicking seeks; `children` are drawn on top, e.g.
+// region or score overlays positioned in percent of the duration.
+export default function Waveform({
+  peaks,
+  duration,
+  currentTime = 0,
+  onSeek,
+  height = 96,
+  color = '#5bc0de',
+  className = '',
+  children
+}) {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [width, setWidth] = useState(0);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    setWidth(container.clientWidth);
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !width || !peaks?.length) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const context = canvas.getContext('2d');
+    context.scale(ratio, ratio);
+    context.clearRect(0, 0, width, height);
+    context.fillStyle = color;
+
+    const middle = height / 2;
+    const columnWidth = width / peaks.length;
+    peaks.forEach(({ min, max }, i) => {
+      const top = middle - max * middle;
+      const bottom = middle - min * middle;
+      context.fillRect(i * columnWidth, top, Math.max(1, columnWidth - 0.5), Math.max(1, bottom - top));
+    });
+  }, [peaks, width, height, color]);
+
+  const handleClick = (event) => {
+    if (!onSeek || !duration) return;
+    const rect = containerRef.current.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    onSeek(fraction * duration);
+  };
+
+  const cursor = duration ? Math.min(100, (currentTime / duration) * 100) : 0;
+
+  return (
+    <div
+      ref={containerRef}
+      className={`position-relative ${className}`}
+      style={{ height, cursor: onSeek ? 'pointer' : 'default' }}
+      onClick={handleClick}
+    >
+      <canvas ref={canvasRef} style={{ width: '100%', height }} />
+      {children}
+      <div
+        className="position-absolute top-0 bottom-0 bg-white"
+        style={{ left: `${cursor}%`, width: '2px', pointerEvents: 'none' }}
+      />
+    </div>
+  );
+}
@@ -1,7 +1,19 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
-import useSWR from 'swr';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
+import useSWR, { mutate } from 'swr';
 import apiService from '../services/api';
-import { defaultAudioConfig } from '../types/api';
+import { ApiError, CancelledError, UnsupportedFormatError } from '../services/errors';
+import logger from '../services/logger';
+import { getCachedResult, setCachedResult } from '../services/resultCache';
+import { normalizeDetectionResult } from '../services/schema';
+import { computeFileHash } from '../utils/fileHash';
+import { getFileNameFromUrl, getMimeTypeForName, getRelativePath } from '../utils/fileIngest';
+import { decodeAudio, encodeWav, extractRegions, readAudioSampleRate, resampleAudio } from '../utils/audio';
+import { aggregateSegments, defaultAudioSegmentation, getSegmentWindows, MIN_SEGMENTED_SECONDS, SEGMENT_SECONDS } from '../utils/audioSegments';
+import { analyzeAudioQuality, defaultAudioQuality } from '../utils/audioQuality';
+import { preprocessImage } from '../utils/imagePreprocess';
+import { countConsecutiveFakes, defaultLiveMonitor, LIVE_HOP_SECONDS, LIVE_WINDOW_SECONDS, playAlertTone, startLiveCapture } from '../utils/liveAudio';
+import { aggregateFrames, defaultVideoSampling, getTopFrames, isVideoFile, sampleVideoFrames } from '../utils/video';
+import { BatchItemStatus, DetectionResult, defaultAudioConfig, FileType, JobStatus } from '../types/api';
 
 // Health status hook with caching
 export function useHealth() {
@@ -46,26 +58,336 @@ export function useSupportedFormats() {
   };
 }
 
+// Add what only the browser knows to a result: where the media came from
+// (path inside a dropped folder, or the link it was fetched from), which
+// audio regions were cut out of the original, and what the pre-upload file
+// checks flagged; plus any image preprocessing applied before upload, the
+// measured audio quality and, for screen or tab captures, what was shared
+function withClientDetails(result, file, { sourceUrl, selection, capture, fileWarnings, preprocessing, audioQuality } = {}) {
+  const relativePath = getRelativePath(file);
+  return {
+    ...result,
+    ...(relativePath.includes('/') && { relative_path: relativePath }),
+    ...(sourceUrl && { metadata: { ...result.metadata, source_url: sourceUrl } }),
+    ...(selection && {
+      analyzed_regions: {
+        source_file: selection.sourceName,
+        source_duration: selection.sourceDuration,
+        regions: selection.regions,
+      },
+    }),
+    ...(capture && { capture }),
+    ...(fileWarnings?.length > 0 && { file_warnings: fileWarnings }),
+    ...(preprocessing && { preprocessing }),
+    ...(audioQuality && { audio_quality: audioQuality }),
+  };
+}
+
+// Settings saved under `storageKey`, merged over `defaults` so options added
+// later start out with their default value
+function loadPersisted(storageKey, defaults) {
+  try {
+    const saved = localStorage.getItem(storageKey);
+    return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+  } catch {
+    return defaults;
+  }
+}
+
+const IMAGE_PREPROCESSING_KEY = 'deepguard_image_preprocessing';
+const defaultImagePreprocessing = { downscale: false, stripMetadata: false };
+
+// Read at analysis time so changes made on the Settings page apply right away
+function getImagePreprocessing(formats) {
+  return { ...loadPersisted(IMAGE_PREPROCESSING_KEY, defaultImagePreprocessing), maxDimension: formats?.max_image_dimension };
+}
+
+const VIDEO_SAMPLING_KEY = 'deepguard_video_sampling';
+
+// Score sampled frames of a video with the image model, one at a time, and
+// combine them into a single result with a per-frame timeline. Frames always
+// use the synchronous /detect endpoint so they do not show up as pending jobs.
+// The calibration threshold and uncertainty range in `config` apply to the
+// combined verdict.
+async function detectVideoFrames(file, config, sampling, { fileHash, onProgress, signal }) {
+  const frames = [];
+  const thumbnails = new Map();
+  let frameResult;
+
+  const info = await sampleVideoFrames(file, sampling, async (frame, { frameCount }) => {
+    frameResult = await apiService.detectDeepfake(frame.file, undefined, null, signal);
+    frames.push({
+      index: frame.index,
+      time: frame.time,
+      fake_probability: frameResult.probabilities?.fake ?? (frameResult.detection_result === DetectionResult.FAKE ? 1 : 0),
+      detection_result: frameResult.detection_result,
+      processing_time_ms: frameResult.processing_time_ms,
+    });
+    thumbnails.set(frame.index, frame.thumbnail);
+    onProgress?.({
+      percentage: Math.round((frames.length / frameCount) * 100),
+      steps: { completed: frames.length, total: frameCount, unit: 'frame' },
+    });
+  }, signal);
+
+  if (signal?.aborted) {
+    throw new CancelledError();
+  }
+  if (!frames.length) {
+    throw new UnsupportedFormatError('The video has no frames that can be analyzed.');
+  }
+
+  const calibration = { ...defaultAudioConfig, ...config };
+  const aggregate = aggregateFrames(frames, {
+    threshold: calibration.threshold,
+    uncertaintyRange: calibration.uncertainty_range,
+  });
+  const mean = aggregate.mean_fake_probability;
+  // Only the thumbnails of the most suspicious frames are kept, so cached results stay small
+  const topFrames = getTopFrames(frames).map(index => ({ ...frames[index], thumbnail: thumbnails.get(index) }));
+
+  return normalizeDetectionResult({
+    detection_result: aggregate.detection_result,
+    confidence_score: mean >= calibration.threshold ? mean : 1 - mean,
+    file_type: FileType.VIDEO,
+    file_hash: fileHash,
+    processing_time_ms: frames.reduce((total, frame) => total + (frame.processing_time_ms || 0), 0),
+    served_by: frameResult.served_by,
+    metadata: {
+      model_architecture: `${frameResult.metadata.model_architecture || 'Image model'} (per frame)`,
+      device: frameResult.metadata.device,
+      backend: frameResult.metadata.backend,
+      fake_probability: mean,
+      real_probability: 1 - mean,
+      threshold: calibration.threshold,
+    },
+    video_analysis: {
+      duration_seconds: info.duration,
+      resolution: `${info.width}x${info.height}`,
+      frames_per_second: sampling.framesPerSecond,
+      max_frames: sampling.maxFrames,
+      threshold: calibration.threshold,
+      aggregate,
+      frames,
+      top_frames: topFrames,
+    },
+  });
+}
+
+const AUDIO_SEGMENTATION_KEY = 'deepguard_audio_segmentation';
+const SEGMENT_SAMPLE_RATE = 16000; // RawNetLite resamples to 16 kHz mono anyway
+const SEGMENT_CONCURRENCY = 3;
+
+// Cut long audio into overlapping windows and score each one with the audio
+// model, a few at a time, then combine them with the chosen aggregation
+// strategy. `audioBuffer` is the decoded file, null when the browser cannot
+// decode it. Resolves with null when the audio is short or undecodable, so
+// the caller sends the file whole.
+async function detectAudioSegments(file, audioBuffer, config, segmentation, { fileHash, onProgress, signal }) {
+  if (!audioBuffer || audioBuffer.duration < MIN_SEGMENTED_SECONDS) return null;
+
+  const audio = await resampleAudio(audioBuffer, SEGMENT_SAMPLE_RATE);
+  const windows = getSegmentWindows(audio.duration, segmentation);
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+  const segments = [];
+  let segmentResult;
+  let next = 0;
+  let failed = false;
+
+  const analyzeNext = async () => {
+    while (!failed && next < windows.length) {
+      const segmentWindow = windows[next++];
+      const clip = encodeWav(extractRegions(audio, [segmentWindow]));
+      const clipName = `${baseName}-segment-${String(segmentWindow.index + 1).padStart(4, '0')}.wav`;
+      try {
+        segmentResult = await apiService.detectDeepfake(new File([clip], clipName, { type: 'audio/wav' }), config, null, signal);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+      segments[segmentWindow.index] = {
+        ...segmentWindow,
+        fake_probability: segmentResult.probabilities?.fake ?? (segmentResult.detection_result === DetectionResult.FAKE ? 1 : 0),
+        detection_result: segmentResult.detection_result,
+        processing_time_ms: segmentResult.processing_time_ms,
+      };
+      const completed = segments.filter(Boolean).length;
+      onProgress?.({
+        percentage: Math.round((completed / windows.length) * 100),
+        steps: { completed, total: windows.length, unit: 'segment' },
+      });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(SEGMENT_CONCURRENCY, windows.length) }, analyzeNext));
+
+  const calibration = { ...defaultAudioConfig, ...config };
+  const aggregate = aggregateSegments(segments, {
+    strategy: segmentation.strategy,
+    minFakeShare: segmentation.minFakeShare,
+    threshold: calibration.threshold,
+    uncertaintyRange: calibration.uncertainty_range,
+  });
+  const probability = aggregate.fake_probability;
+  const confidence = {
+    [DetectionResult.FAKE]: probability,
+    [DetectionResult.REAL]: 1 - probability,
+  }[aggregate.detection_result] ?? Math.max(probability, 1 - probability);
+  // Raw outputs of the last window say nothing about the whole recording
+  const { raw_logit, sigmoid_output, ...modelMetadata } = segmentResult.metadata;
+
+  return normalizeDetectionResult({
+    detection_result: aggregate.detection_result,
+    confidence_score: confidence,
+    file_type: FileType.AUDIO,
+    file_hash: fileHash,
+    processing_time_ms: segments.reduce((total, segment) => total + (segment.processing_time_ms || 0), 0),
+    served_by: segmentResult.served_by,
+    metadata: {
+      ...modelMetadata,
+      prob_fake: probability,
+      prob_real: 1 - probability,
+      threshold: calibration.threshold,
+      is_uncertain: aggregate.detection_result === DetectionResult.UNCERTAIN,
+      uncertainty_bounds: aggregate.uncertainty_bounds,
+      original_duration_seconds: audioBuffer.duration,
+      original_sample_rate: (await readAudioSampleRate(file).catch(() => null)) || audioBuffer.sampleRate,
+      original_channels: audioBuffer.numberOfChannels,
+    },
+    segment_analysis: {
+      window_seconds: SEGMENT_SECONDS,
+      overlap: segmentation.overlap,
+      threshold: calibration.threshold,
+      aggregate,
+      segments,
+    },
+  });
+}
+
+const AUDIO_QUALITY_KEY = 'deepguard_audio_quality';
+
+const LIVE_MONITOR_KEY = 'deepguard_live_monitor';
+const LIVE_MAX_IN_FLIGHT = 2;
+const LIVE_HISTORY = 200; // Windows kept for the chart, about five minutes
+
+// Apply image preprocessing and measure audio quality, then serve a locally
+// cached result when there is one, otherwise run the detection (sync or job
+// mode, frame by frame for video, window by window for long audio) and cache
+// its result.
+// Demo results from the mock backend are never cached.
+async function detectFile(originalFile, config, { skipCache, sourceUrl, selection, capture, fileWarnings, imagePreprocessing, videoSampling, audioSegmentation, onProgress, onJobStatus, signal } = {}) {
+  const { file, changes: preprocessing } = imagePreprocessing
+    ? await preprocessImage(originalFile, imagePreprocessing)
+    : { file: originalFile, changes: null };
+  // Decoded once for the quality checks and, for long audio, segmentation
+  const audioBuffer = file.type.startsWith('audio/') ? await decodeAudio(file).catch(() => null) : null;
+  const audioQuality = audioBuffer ? analyzeAudioQuality(audioBuffer) : null;
+  const clientDetails = { sourceUrl, selection, capture, fileWarnings, preprocessing, audioQuality };
+
+  const isVideo = isVideoFile(file);
+  const sampling = videoSampling || defaultVideoSampling;
+  // Job mode and chunked uploads exist for long audio; leave such files to them
+  // rather than sending every window as its own synchronous request
+  const segmentation = file.type.startsWith('audio/') && audioSegmentation?.enabled
+    && !apiService.isJobModeEnabled() && !apiService.shouldUploadInChunks(file)
+    ? audioSegmentation
+    : null;
+  const useCache = !apiService.isMockEnabled();
+  const fileHash = await computeFileHash(file).catch(() => null);
+  // Video and long-audio results depend on how they were split up
+  let cacheKey = fileHash;
+  if (fileHash && isVideo) {
+    cacheKey = `${fileHash}:frames-${sampling.framesPerSecond}-${sampling.maxFrames}`;
+  } else if (fileHash && segmentation) {
+    cacheKey = `${fileHash}:segments-${segmentation.overlap}-${segmentation.strategy}-${segmentation.minFakeShare}`;
+  }
+  if (fileHash && useCache && !skipCache) {
+    const cached = await getCachedResult(cacheKey, config);
+    if (cached) {
+      // Entries cached by older versions may predate response normalization.
+      // The request id belongs to the earlier run, so it is kept apart from
+      // correlation_id, which always names the request that produced the result shown.
+      const { correlation_id: cachedCorrelationId, ...cachedResult } = normalizeDetectionResult(cached.result);
+      return {
+        result: withClientDetails({
+          ...cachedResult,
+          ...(cachedCorrelationId && { cached_correlation_id: cachedCorrelationId }),
+        }, originalFile, clientDetails),
+        fileHash,
+        isCached: true,
+        cachedAt: cached.cached_at,
+      };
+    }
+  }
+
+  let result = null;
+  if (isVideo) {
+    result = await detectVideoFrames(file, config, sampling, { fileHash, onProgress, signal });
+  } else if (segmentation) {
+    result = await detectAudioSegments(file, audioBuffer, config, segmentation, { fileHash, onProgress, signal });
+  }
+  if (!result) {
+    result = apiService.isJobModeEnabled()
+      ? await apiService.detectDeepfakeJob(file, config, onProgress, onJobStatus, signal)
+      : await apiService.detectDeepfake(file, config, onProgress, signal);
+  }
+
+  if (fileHash && useCache) {
+    await setCachedResult(cacheKey, config, result, file.name);
+  }
+
+  return { result: withClientDetails(result, originalFile, clientDetails), fileHash, isCached: false };
+}
+
+const initialAnalysisState = {
+  isAnalyzing: false,
+  progress: 0,
+  error: undefined,
+  apiError: undefined, // Typed ApiError behind `error`, when there is one
+  result: undefined,
+  uploadedFile: undefined,
+  fileWarnings: [], // Pre-upload findings, e.g. an extension that does not match the content
+  stepProgress: undefined, // { completed, total, unit } while video frames or audio segments are analyzed
+  jobId: undefined,
+  jobStatus: undefined,
+  fileHash: undefined,
+  isCached: false,
+  cachedAt: undefined,
+};
+
 // File analysis hook with progress tracking and cancellation
 export function useFileAnalysis() {
-  const [state, setState] = useState({
-    isAnalyzing: false,
-    progress: 0,
-    error: undefined,
-    result: undefined,
-    uploadedFile: undefined,
-  });
+  const [state, setState] = useState(initialAnalysisState);
+  // Validation reuses the SWR-cached format list instead of refetching it
+  const { formats } = useSupportedFormats();
+  const formatsRef = useRef(formats);
+  formatsRef.current = formats;
+  const [pendingJobs, setPendingJobs] = useState(() => apiService.getPendingJobs());
 
   const abortControllerRef = useRef(null);
+  const lastRequestRef = useRef(null);
+
+  const handleJobStatus = useCallback((job) => {
+    setState(prev => ({
+      ...prev,
+      jobId: job.job_id || prev.jobId,
+      jobStatus: job.status,
+    }));
+  }, []);
 
-  const analyzeFile = useCallback(async (file, config) => {
+  // Options: { skipCache } to ignore a locally cached result for this file,
+  // { sourceUrl } to record the link the file was downloaded from,
+  // { selection } to record the audio regions the file was cut from,
+  // { capture } to record the shared tab or screen the file was captured from
+  const analyzeFile = useCallback(async (file, config, options = {}) => {
+    lastRequestRef.current = { file, config, options };
     try {
       // Validate file first
-      const validation = await apiService.validateFile(file);
+      const validation = await apiService.validateFile(file, formatsRef.current);
       if (!validation.valid) {
         setState(prev => ({
           ...prev,
-          error: validation.error,
+          error: validation.error.message,
+          apiError: validation.error,
           isAnalyzing: false
         }));
         return null;
@@ -73,34 +395,52 @@ export function useFileAnalysis() {
 
       // Reset state and start analysis
       setState({
+        ...initialAnalysisState,
         isAnalyzing: true,
-        progress: 0,
-        error: undefined,
-        result: undefined,
         uploadedFile: file,
+        fileWarnings: validation.warnings,
       });
 
       // Create abort controller for cancellation
       abortControllerRef.current = apiService.createAbortController();
 
-      const result = await apiService.detectDeepfake(
-        file,
-        config,
-        (progress) => {
+      const { result, fileHash, isCached, cachedAt } = await detectFile(file, config, {
+        skipCache: options.skipCache,
+        sourceUrl: options.sourceUrl,
+        selection: options.selection,
+        capture: options.capture,
+        fileWarnings: validation.warnings,
+        imagePreprocessing: getImagePreprocessing(formatsRef.current),
+        videoSampling: loadPersisted(VIDEO_SAMPLING_KEY, defaultVideoSampling),
+        // Captured call audio is scored window by window even when segmentation is off
+        audioSegmentation: {
+          ...loadPersisted(AUDIO_SEGMENTATION_KEY, defaultAudioSegmentation),
+          ...(options.capture && { enabled: true }),
+        },
+        onProgress: (progress) => {
           setState(prev => ({
             ...prev,
-            progress: progress.percentage
+            progress: progress.percentage,
+            ...(progress.steps && { stepProgress: progress.steps }),
           }));
         },
-        abortControllerRef.current.signal
-      );
+        onJobStatus: (job) => {
+          handleJobStatus(job);
+          setPendingJobs(apiService.getPendingJobs());
+        },
+        signal: abortControllerRef.current.signal,
+      });
 
       setState(prev => ({
         ...prev,
         isAnalyzing: false,
         progress: 100,
         result,
+        fileHash,
+        isCached,
+        cachedAt,
       }));
+      setPendingJobs(apiService.getPendingJobs());
 
       return result;
 
@@ -110,9 +450,127 @@ export function useFileAnalysis() {
         ...prev,
         isAnalyzing: false,
         error: errorMessage,
+        apiError: error instanceof ApiError ? error : undefined,
       }));
+      setPendingJobs(apiService.getPendingJobs());
       return null;
     }
+  }, [handleJobStatus]);
+
+  // Analyze the media behind a link. The browser downloads it when the server
+  // allows cross-origin reads; otherwise the backend is asked to fetch it.
+  // `getConfig(file)` picks the detection config once the file type is known.
+  const analyzeUrl = useCallback(async (url, getConfig) => {
+    const name = getFileNameFromUrl(url);
+    const remoteFile = { name, type: getMimeTypeForName(name), size: 0 };
+    lastRequestRef.current = { url, getConfig };
+    try {
+      setState({
+        ...initialAnalysisState,
+        isAnalyzing: true,
+        uploadedFile: remoteFile,
+      });
+
+      abortControllerRef.current = apiService.createAbortController();
+      const file = await apiService.fetchRemoteMedia(url, abortControllerRef.current.signal);
+      if (file) {
+        return analyzeFile(file, getConfig(file), { sourceUrl: url });
+      }
+
+      const result = await apiService.detectDeepfakeFromUrl(
+        url,
+        getConfig(remoteFile),
+        abortControllerRef.current.signal
+      );
+      const sourcedResult = withClientDetails(result, remoteFile, { sourceUrl: url });
+
+      setState(prev => ({
+        ...prev,
+        isAnalyzing: false,
+        progress: 100,
+        result: sourcedResult,
+      }));
+      return sourcedResult;
+
+    } catch (error) {
+      setState(prev => ({
+        ...prev,
+        isAnalyzing: false,
+        error: error.message || 'Unable to analyze the linked media.',
+        apiError: error instanceof ApiError ? error : undefined,
+      }));
+      return null;
+    }
+  }, [analyzeFile]);
+
+  // Pick up a job submitted earlier, e.g. before a page reload
+  const resumeJob = useCallback(async (job) => {
+    try {
+      setState({
+        ...initialAnalysisState,
+        isAnalyzing: true,
+        progress: 100,
+        uploadedFile: { name: job.file_name, type: job.file_type, size: job.file_size },
+        jobId: job.job_id,
+        jobStatus: JobStatus.QUEUED,
+      });
+
+      abortControllerRef.current = apiService.createAbortController();
+
+      const result = await apiService.pollJob(
+        job,
+        handleJobStatus,
+        abortControllerRef.current.signal
+      );
+
+      setState(prev => ({
+        ...prev,
+        isAnalyzing: false,
+        result,
+      }));
+      setPendingJobs(apiService.getPendingJobs());
+
+      return result;
+
+    } catch (error) {
+      setState(prev => ({
+        ...prev,
+        isAnalyzing: false,
+        error: error.message || 'Unable to resume detection job.',
+        apiError: error instanceof ApiError ? error : undefined,
+      }));
+      setPendingJobs(apiService.getPendingJobs());
+      return null;
+    }
+  }, [handleJobStatus]);
+
+  // Show a result produced elsewhere, e.g. by the batch queue
+  const showResult = useCallback((file, config, result, { isCached = false, cachedAt } = {}) => {
+    lastRequestRef.current = { file, config };
+    setState({
+      ...initialAnalysisState,
+      progress: 100,
+      uploadedFile: file,
+      fileWarnings: result.file_warnings || [],
+      result,
+      isCached,
+      cachedAt,
+    });
+  }, []);
+
+  // Analyze the last file again, bypassing the local result cache
+  const rerunAnalysis = useCallback(() => {
+    const lastRequest = lastRequestRef.current;
+    if (!lastRequest) return Promise.resolve(null);
+    if (lastRequest.url) {
+      return analyzeUrl(lastRequest.url, lastRequest.getConfig);
+    }
+    return analyzeFile(lastRequest.file, lastRequest.config, { ...lastRequest.options, skipCache: true });
+  }, [analyzeFile, analyzeUrl]);
+
+  const discardJob = useCallback((jobId) => {
+    apiService.removePendingJob(jobId);
+    setPendingJobs(apiService.getPendingJobs());
   }, []);
 
   const cancelAnalysis = useCallback(() => {
@@ -127,13 +585,8 @@ export function useFileAnalysis() {
   }, []);
 
   const resetAnalysis = useCallback(() => {
-    setState({
-      isAnalyzing: false,
-      progress: 0,
-      error: undefined,
-      result: undefined,
-      uploadedFile: undefined,
-    });
+    setState(initialAnalysisState);
+    lastRequestRef.current = null;
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
       abortControllerRef.current = null;
@@ -151,13 +604,272 @@ export function useFileAnalysis() {
 
   return {
     ...state,
+    pendingJobs,
     analyzeFile,
+    analyzeUrl,
+    rerunAnalysis,
+    resumeJob,
+    discardJob,
+    showResult,
     cancelAnalysis,
     resetAnalysis,
     canCancel: state.isAnalyzing && abortControllerRef.current !== null,
   };
 }
 
+let nextBatchItemId = 1;
+
+// Queue of files analyzed in parallel, at most `concurrency` at a time.
+// Pausing stops new items from starting; items already running finish.
+export function useBatchAnalysis({ concurrency: initialConcurrency = 3 } = {}) {
+  const [items, setItems] = useState([]);
+  const [isPaused, setIsPaused] = useState(false);
+  const [concurrency, setConcurrency] = useState(initialConcurrency);
+  const controllersRef = useRef(new Map());
+  const { formats } = useSupportedFormats();
+  const formatsRef = useRef(formats);
+  formatsRef.current = formats;
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  const runItem = useCallback(async (item) => {
+    const controller = apiService.createAbortController();
+    controllersRef.current.set(item.id, controller);
+    updateItem(item.id, { status: BatchItemStatus.ANALYZING });
+
+    try {
+      const validation = await apiService.validateFile(item.file, formatsRef.current);
+      if (!validation.valid) {
+        throw validation.error;
+      }
+
+      const { result, isCached, cachedAt } = await detectFile(item.file, item.config, {
+        fileWarnings: validation.warnings,
+        imagePreprocessing: getImagePreprocessing(formatsRef.current),
+        videoSampling: loadPersisted(VIDEO_SAMPLING_KEY, defaultVideoSampling),
+        audioSegmentation: loadPersisted(AUDIO_SEGMENTATION_KEY, defaultAudioSegmentation),
+        onProgress: (progress) => updateItem(item.id, { progress: progress.percentage }),
+        onJobStatus: (job) => updateItem(item.id, { jobStatus: job.status }),
+        signal: controller.signal,
+      });
+
+      // A cache hit never looks at the signal, so a cancel may have come in meanwhile
+      if (controller.signal.aborted) {
+        updateItem(item.id, { status: BatchItemStatus.CANCELLED });
+        return;
+      }
+      updateItem(item.id, { status: BatchItemStatus.DONE, progress: 100, result, isCached, cachedAt });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        updateItem(item.id, { status: BatchItemStatus.CANCELLED });
+      } else {
+        updateItem(item.id, {
+          status: BatchItemStatus.FAILED,
+          error: error.message || 'Analysis failed.',
+          apiError: error instanceof ApiError ? error : undefined,
+        });
+      }
+    } finally {
+      controllersRef.current.delete(item.id);
+    }
+  }, [updateItem]);
+
+  // Start queued items whenever a slot frees up
+  useEffect(() => {
+    if (isPaused) return;
+    const running = items.filter(item => item.status === BatchItemStatus.ANALYZING).length;
+    items
+      .filter(item => item.status === BatchItemStatus.QUEUED)
+      .slice(0, Math.max(0, concurrency - running))
+      .forEach(runItem);
+  }, [items, isPaused, concurrency, runItem]);
+
+  // Each entry is { file, config }
+  const addFiles = useCallback((entries) => {
+    const added = entries.map(({ file, config }) => ({
+      id: nextBatchItemId++,
+      file,
+      config,
+      relativePath: getRelativePath(file),
+      status: BatchItemStatus.QUEUED,
+      progress: 0,
+    }));
+    setItems(prev => [...prev, ...added]);
+  }, []);
+
+  const cancelItem = useCallback((id) => {
+    const controller = controllersRef.current.get(id);
+    if (controller) {
+      controller.abort();
+    } else {
+      setItems(prev => prev.map(item => (
+        item.id === id && item.status === BatchItemStatus.QUEUED
+          ? { ...item, status: BatchItemStatus.CANCELLED }
+          : item
+      )));
+    }
+  }, []);
+
+  const retryItem = useCallback((id) => {
+    updateItem(id, {
+      status: BatchItemStatus.QUEUED,
+      progress: 0,
+      jobStatus: undefined,
+      error: undefined,
+      apiError: undefined,
+      result: undefined,
+    });
+  }, [updateItem]);
+
+  const removeItem = useCallback((id) => {
+    controllersRef.current.get(id)?.abort();
+    setItems(prev => prev.filter(item => item.id !== id));
+  }, []);
+
+  const clearBatch = useCallback(() => {
+    controllersRef.current.forEach(controller => controller.abort());
+    setItems([]);
+    setIsPaused(false);
+  }, []);
+
+  const pause = useCallback(() => setIsPaused(true), []);
+  const resume = useCallback(() => setIsPaused(false), []);
+
+  // Abort in-flight uploads on unmount
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => {
+      controllers.forEach(controller => controller.abort());
+    };
+  }, []);
+
+  const summary = useMemo(() => {
+    const counts = { total: items.length, real: 0, fake: 0, uncertain: 0, failed: 0, pending: 0 };
+    items.forEach(item => {
+      if (item.status === BatchItemStatus.DONE) {
+        if (item.result.detection_result === DetectionResult.REAL) counts.real += 1;
+        if (item.result.detection_result === DetectionResult.FAKE) counts.fake += 1;
+        if (item.result.detection_result === DetectionResult.UNCERTAIN) counts.uncertain += 1;
+      } else if (item.status === BatchItemStatus.FAILED) {
+        counts.failed += 1;
+      } else if (item.status === BatchItemStatus.QUEUED || item.status === BatchItemStatus.ANALYZING) {
+        counts.pending += 1;
+      }
+    });
+    return counts;
+  }, [items]);
+
+  return {
+    items,
+    summary,
+    isPaused,
+    concurrency,
+    setConcurrency,
+    addFiles,
+    cancelItem,
+    retryItem,
+    removeItem,
+    clearBatch,
+    pause,
+    resume,
+  };
+}
+
+// Sign-in state for the configured auth mode
+export function useAuth() {
+  const [isAuthenticated, setIsAuthenticated] = useState(() => apiService.isAuthenticated());
+  const [sessionExpired, setSessionExpired] = useState(false);
+
+  useEffect(() => {
+    return apiService.subscribeToAuth((event) => {
+      setIsAuthenticated(event.authenticated);
+      setSessionExpired(event.reason === 'expired');
+    });
+  }, []);
+
+  // Health checks that failed with 401 should be retried with the new credentials
+  const login = useCallback(async (username, password) => {
+    await apiService.login(username, password);
+    mutate('health');
+  }, []);
+
+  const loginWithApiKey = useCallback(async (apiKey) => {
+    await apiService.loginWithApiKey(apiKey);
+    mutate('health');
+  }, []);
+
+  const logout = useCallback(() => apiService.logout(), []);
+
+  return {
+    authRequired: apiService.isAuthRequired(),
+    authMode: apiService.getAuthMode(),
+    isAuthenticated,
+    sessionExpired,
+    login,
+    loginWithApiKey,
+    logout,
+  };
+}
+
+// Everything fetched so far came from the other backend
+function revalidateBackendData() {
+  mutate('health');
+  mutate('supported-formats');
+}
+
+// Built-in mock backend toggle for offline demos
+export function useMockBackend() {
+  const [enabled, setEnabledState] = useState(() => apiService.isMockEnabled());
+  const [scenario, setScenarioState] = useState(() => apiService.getMockScenario());
+
+  const setEnabled = useCallback((value) => {
+    apiService.setMockEnabled(value);
+    setEnabledState(value);
+    revalidateBackendData();
+  }, []);
+
+  const setScenario = useCallback((value) => {
+    apiService.setMockScenario(value);
+    setScenarioState(value);
+    revalidateBackendData();
+  }, []);
+
+  return {
+    enabled,
+    scenario,
+    setEnabled,
+    setScenario,
+  };
+}
+
+// Configured backends with live health, plus manual pinning
+export function useBackends() {
+  const [backends, setBackends] = useState(() => apiService.getBackends());
+  const [pinnedBackendId, setPinnedBackendId] = useState(() => apiService.getPinnedBackendId());
+
+  useEffect(() => {
+    return apiService.subscribeToBackends((updated) => {
+      setBackends(updated);
+      setPinnedBackendId(apiService.getPinnedBackendId());
+    });
+  }, []);
+
+  const pinBackend = useCallback((backendId) => {
+    apiService.pinBackend(backendId);
+    // Re-check health so status indicators reflect the newly routed backend
+    mutate('health');
+  }, []);
+
+  return {
+    backends,
+    pinnedBackendId,
+    activeBackend: apiService.selectBackend(),
+    pinBackend,
+  };
+}
+
 // Backend connection status hook
 export function useBackendStatus() {
   const { health, isHealthy, isLoading, error } = useHealth();
@@ -179,12 +891,51 @@ export function useBackendStatus() {
     status: connectionStatus,
     health,
     modelsStatus: health?.models_loaded,
+    servedBy: health?.served_by,
     isConnected: connectionStatus === 'connected',
     isConnecting: connectionStatus === 'connecting',
     error,
   };
 }
 
+// Settings object persisted to localStorage (see loadPersisted);
+// `setSettings(updates)` merges the updates and saves the result
+function usePersistedSettings(storageKey, defaults) {
+  const [settings, setSettingsState] = useState(() => loadPersisted(storageKey, defaults));
+
+  const setSettings = useCallback((updates) => {
+    setSettingsState(prev => {
+      const updated = { ...prev, ...updates };
+      try {
+        localStorage.setItem(storageKey, JSON.stringify(updated));
+      } catch (error) {
+        logger.warn(`Failed to save ${storageKey} to localStorage:`, error);
+      }
+      return updated;
+    });
+  }, [storageKey]);
+
+  return {
+    settings,
+    setSettings,
+  };
+}
+
+// Image preprocessing preferences (downscale, strip metadata) with localStorage persistence
+export function useImagePreprocessing() {
+  return usePersistedSettings(IMAGE_PREPROCESSING_KEY, defaultImagePreprocessing);
+}
+
+// Video frame sampling preferences (rate, frame cap) with localStorage persistence
+export function useVideoSampling() {
+  return usePersistedSettings(VIDEO_SAMPLING_KEY, defaultVideoSampling);
+}
+
+// Long-audio segmentation preferences (overlap, aggregation) with localStorage persistence
+export function useAudioSegmentation() {
+  return usePersistedSettings(AUDIO_SEGMENTATION_KEY, defaultAudioSegmentation);
+}
+
 // Audio calibration configuration hook with localStorage persistence
 export function useAudioCalibration() {
   const [config, setConfigState] = useState(() => {
@@ -223,4 +974,273 @@ export function useAudioCalibration() {
     setConfig,
     resetConfig,
   };
-}
\ No newline at end of file
+}
+
+// Audio quality preferences (speech auto-selection) with localStorage persistence
+export function useAudioQualitySettings() {
+  return usePersistedSettings(AUDIO_QUALITY_KEY, defaultAudioQuality);
+}
+
+// Live monitoring preferences (alert run length, sound) with localStorage persistence
+export function useLiveMonitorSettings() {
+  return usePersistedSettings(LIVE_MONITOR_KEY, defaultLiveMonitor);
+}
+
+// Release the microphone and audio context of a live session, however far it got
+function releaseLiveSession(session) {
+  clearInterval(session.timer);
+  session.capture?.stop();
+  session.stream?.getTracks().forEach(track => track.stop());
+}
+
+// Continuous microphone monitoring: every LIVE_HOP_SECONDS the last
+// LIVE_WINDOW_SECONDS of input are scored with the audio model under
+// `config`. While LIVE_MAX_IN_FLIGHT windows are still waiting on the
+// backend, new ones are dropped rather than queued so the results stay
+// close to real time.
+export function useLiveDetection(config) {
+  const [isRunning, setIsRunning] = useState(false);
+  const [level, setLevel] = useState(0);
+  const [windows, setWindows] = useState([]);
+  const [droppedCount, setDroppedCount] = useState(0);
+  const [error, setError] = useState(null);
+  const sessionRef = useRef(null);
+  const configRef = useRef(config);
+
+  useEffect(() => {
+    configRef.current = config;
+  }, [config]);
+
+  const updateWindow = (index, updates) => {
+    setWindows(prev => prev.map(item => (item.index === index ? { ...item, ...updates } : item)));
+  };
+
+  const analyzeWindow = async (session, liveWindow, samples) => {
+    const { signal } = session.controller;
+    try {
+      const audioBuffer = new AudioBuffer({ length: samples.length, numberOfChannels: 1, sampleRate: session.sampleRate });
+      audioBuffer.copyToChannel(samples, 0);
+      const clip = encodeWav(await resampleAudio(audioBuffer, SEGMENT_SAMPLE_RATE));
+      const clipName = `live-${String(liveWindow.index + 1).padStart(4, '0')}.wav`;
+      const result = await apiService.detectDeepfake(new File([clip], clipName, { type: 'audio/wav' }), configRef.current, null, signal);
+      updateWindow(liveWindow.index, {
+        fake_probability: result.probabilities?.fake ?? (result.detection_result === DetectionResult.FAKE ? 1 : 0),
+        detection_result: result.detection_result,
+        processing_time_ms: result.processing_time_ms,
+      });
+      setError(null);
+    } catch (err) {
+      if (signal.aborted) return;
+      updateWindow(liveWindow.index, { failed: true });
+      setError(err.message || 'A window could not be analyzed.');
+    } finally {
+      session.inFlight--;
+    }
+  };
+
+  const stop = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session) return;
+    sessionRef.current = null;
+    session.controller.abort();
+    releaseLiveSession(session);
+    setIsRunning(false);
+    setLevel(0);
+  }, []);
+
+  const start = async () => {
+    if (sessionRef.current) return;
+    setError(null);
+
+    // Registered before the first await, so stopping or unmounting while the
+    // permission prompt is open aborts the start; the last LIVE_WINDOW_SECONDS
+    // of input are kept in `buffer`, a ring buffer
+    const session = { controller: new AbortController(), inFlight: 0, received: 0, nextIndex: 0, buffer: null };
+    sessionRef.current = session;
+    const { signal } = session.controller;
+    const fail = (message) => {
+      releaseLiveSession(session);
+      if (signal.aborted) return;
+      sessionRef.current = null;
+      setError(message);
+    };
+
+    try {
+      // Processing meant for calls would alter exactly the artifacts the model looks for
+      session.stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+      });
+    } catch (err) {
+      fail(err.name === 'NotAllowedError'
+        ? 'Microphone access was denied. Allow it in your browser settings to monitor.'
+        : 'No microphone is available.');
+      return;
+    }
+    if (signal.aborted) {
+      releaseLiveSession(session);
+      return;
+    }
+
+    try {
+      session.capture = await startLiveCapture(session.stream, (samples, inputLevel) => {
+        const { buffer } = session;
+        if (!buffer) return;
+        for (let i = 0; i < samples.length; i++) {
+          buffer[session.received % buffer.length] = samples[i];
+          session.received++;
+        }
+        setLevel(inputLevel);
+      });
+    } catch {
+      fail('This browser cannot process microphone audio live.');
+      return;
+    }
+    if (signal.aborted) {
+      releaseLiveSession(session);
+      return;
+    }
+    session.sampleRate = session.capture.sampleRate;
+    session.buffer = new Float32Array(Math.round(LIVE_WINDOW_SECONDS * session.sampleRate));
+
+    session.timer = setInterval(() => {
+      const { buffer, received, sampleRate } = session;
+      if (received < buffer.length) return;
+      if (session.inFlight >= LIVE_MAX_IN_FLIGHT) {
+        setDroppedCount(count => count + 1);
+        return;
+      }
+
+      const offset = received % buffer.length;
+      const samples = new Float32Array(buffer.length);
+      samples.set(buffer.subarray(offset));
+      samples.set(buffer.subarray(0, offset), buffer.length - offset);
+
+      const end = received / sampleRate;
+      const liveWindow = { index: session.nextIndex++, start: end - LIVE_WINDOW_SECONDS, end };
+      session.inFlight++;
+      setWindows(prev => [...prev, liveWindow].slice(-LIVE_HISTORY));
+      analyzeWindow(session, liveWindow, samples);
+    }, LIVE_HOP_SECONDS * 1000);
+
+    setWindows([]);
+    setDroppedCount(0);
+    setIsRunning(true);
+  };
+
+  // Alert tone through the capture's audio context, which the user already started
+  const playAlert = useCallback(() => {
+    playAlertTone(sessionRef.current?.capture?.context);
+  }, []);
+
+  // Release the microphone when the monitor goes away
+  useEffect(() => stop, [stop]);
+
+  const consecutiveFakes = useMemo(() => countConsecutiveFakes(windows), [windows]);
+
+  return {
+    isRunning,
+    level,
+    windows,
+    droppedCount,
+    consecutiveFakes,
+    error,
+    start,
+    stop,
+    playAlert,
+  };
+}
+
+// Playback of a local media file through a single hidden <audio> element, so
+// every result panel shows the same cursor. Spread `audioProps` onto the
+// element; `playRange(start, end)` plays one stretch and stops.
+export function useAudioPlayback(file) {
+  const [url, setUrl] = useState(null);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [range, setRange] = useState(null); // { start, end } while a stretch is played
+  const audioRef = useRef(null);
+  const rangeRef = useRef(null);
+
+  useEffect(() => {
+    if (!(file instanceof Blob)) {
+      setUrl(null);
+      return undefined;
+    }
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    setCurrentTime(0);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  // timeupdate fires only a few times a second; follow playback per frame for a smooth cursor
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    let frame;
+    const tick = () => {
+      const audio = audioRef.current;
+      if (!audio) return;
+      if (rangeRef.current && audio.currentTime >= rangeRef.current.end) {
+        audio.pause();
+      }
+      setCurrentTime(audio.currentTime);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying]);
+
+  const clearRange = useCallback(() => {
+    rangeRef.current = null;
+    setRange(null);
+  }, []);
+
+  const seek = useCallback((time) => {
+    if (audioRef.current) {
+      audioRef.current.currentTime = time;
+    }
+    setCurrentTime(time);
+  }, []);
+
+  const playRange = useCallback((start, end) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    rangeRef.current = { start, end };
+    setRange(rangeRef.current);
+    audio.currentTime = start;
+    audio.play();
+  }, []);
+
+  const toggle = useCallback(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    if (audio.paused) {
+      clearRange();
+      audio.play();
+    } else {
+      audio.pause();
+    }
+  }, [clearRange]);
+
+  const handleStopped = () => {
+    setIsPlaying(false);
+    clearRange();
+  };
+
+  return {
+    canPlay: Boolean(url),
+    currentTime,
+    isPlaying,
+    range,
+    seek,
+    playRange,
+    toggle,
+    audioProps: {
+      ref: audioRef,
+      src: url || undefined,
+      onPlay: () => setIsPlaying(true),
+      onPause: handleStopped,
+      onEnded: handleStopped,
+      onSeeked: (event) => setCurrentTime(event.target.currentTime),
+    },
+  };
+}
@@ -1,9 +1,126 @@
 import axios from 'axios';
+import { JobStatus } from '../types/api';
+import { AUTH_MODE, AuthMode, tokenStore, getAuthHeaders } from './auth';
+import logger from './logger';
+import { normalizeDetectionResult, normalizeHealth, normalizeSupportedFormats } from './schema';
+import { createMockAdapter, MockScenario } from './mockBackend';
+import { getFileNameFromUrl, getSupportedExtensions } from '../utils/fileIngest';
+import { isSniffableExtension, sniffFileType } from '../utils/fileSignature';
+import {
+  ApiError,
+  AuthenticationError,
+  BackendUnreachableError,
+  CancelledError,
+  FileTooLargeError,
+  ServerError,
+  TimeoutError,
+  UnsupportedFormatError,
+  createApiError,
+} from './errors';
 
 // Configuration
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:8000';
+// Optional comma-separated list of backends, each a URL or name=URL
+const API_BASE_URLS = process.env.REACT_APP_API_BASE_URLS || API_BASE_URL;
+const PINNED_BACKEND_KEY = 'deepguard_pinned_backend';
+const MOCK_BACKEND_KEY = 'deepguard_mock_backend';
+const MOCK_SCENARIO_KEY = 'deepguard_mock_scenario';
 const API_TIMEOUT = 60000; // 60 seconds for file uploads
 const MAX_RETRIES = 3;
+const DETECTION_MODE = process.env.REACT_APP_DETECTION_MODE || 'sync'; // 'sync' or 'job'
+const JOB_POLL_INTERVAL = 2000; // 2 seconds between job status checks
+const JOB_MAX_WAIT = 30 * 60 * 1000; // Give up polling after 30 minutes
+const PENDING_JOBS_KEY = 'deepguard_pending_jobs';
+const CHUNKED_UPLOADS_ENABLED = process.env.REACT_APP_CHUNKED_UPLOADS === 'true';
+const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB per chunk
+const CHUNKED_UPLOAD_THRESHOLD = 10 * 1024 * 1024; // Files above 10MB are sent in chunks
+const CHUNK_MAX_RETRIES = 5;
+const UPLOAD_SESSIONS_KEY = 'deepguard_upload_sessions';
+
+const TERMINAL_JOB_STATUSES = [JobStatus.COMPLETED, JobStatus.FAILED];
+
+const DEFAULT_RETRY_POLICY = {
+  retries: MAX_RETRIES,
+  baseDelay: 1000, // First backoff window; doubles on every attempt
+  maxDelay: 30000, // Longest we are willing to wait, including Retry-After
+  idempotencyKey: false, // Attach an Idempotency-Key so non-GET requests can be replayed
+};
+
+// Retry policies by endpoint path; the first matching entry wins
+const RETRY_POLICIES = [
+  { match: /^\/uploads\/[^/]+\/chunks\//, retries: CHUNK_MAX_RETRIES, idempotencyKey: true },
+  { match: /^\/(detect|jobs|uploads)/, idempotencyKey: true },
+  // SWR already retries health checks on its own schedule
+  { match: /^\/health/, retries: 0 },
+];
+
+function parseBackends(value) {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const named = entry.match(/^([\w-]+)=(.+)$/);
+      const name = named ? named[1] : (index === 0 ? 'primary' : `backup-${index}`);
+      return {
+        id: name,
+        name,
+        url: named ? named[2] : entry,
+        healthy: null, // Unknown until the first health check
+        latencyMs: null,
+        consecutiveFailures: 0,
+        lastCheckedAt: null,
+        modelsLoaded: undefined,
+      };
+    });
+}
+
+// Higher is better: health dominates, then recent failures, then latency
+function scoreBackend(backend) {
+  const healthScore = backend.healthy === true ? 100 : backend.healthy === null ? 50 : 0;
+  const latencyPenalty = backend.latencyMs === null ? 0 : Math.min(backend.latencyMs / 100, 20);
+  return healthScore - backend.consecutiveFailures * 25 - latencyPenalty;
+}
+
+// Random id for idempotency keys and request correlation
+function createRequestId() {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Sleep that rejects as soon as the abort signal fires
+function wait(ms, abortSignal) {
+  return new Promise((resolve, reject) => {
+    if (abortSignal?.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      abortSignal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    abortSignal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
 class ApiService {
   constructor() {
@@ -15,73 +132,233 @@ class ApiService {
       },
     });
 
-    this.retryAttempts = new Map();
+    this.backends = parseBackends(API_BASE_URLS);
+    this.pinnedBackendId = this.loadPinnedBackend();
+    this.backendListeners = new Set();
+    this.authListeners = new Set();
+    this.refreshPromise = null;
+    this.middleware = [];
 
-    // Request interceptor for logging
+    // Offline demo mode: REACT_APP_MOCK_BACKEND=true, or the Settings switch
+    this.mockEnabled = this.loadMockSetting(MOCK_BACKEND_KEY, process.env.REACT_APP_MOCK_BACKEND === 'true' ? 'true' : 'false') === 'true';
+    this.mockScenario = this.loadMockSetting(MOCK_SCENARIO_KEY, MockScenario.NORMAL);
+    this.mockAdapter = createMockAdapter(() => this.mockScenario);
+
+    // Result of the last successful /supported-formats call, for offline validation
+    this.knownFormats = null;
+
+    // Request interceptor: routing, correlation, credentials, then middleware
     this.client.interceptors.request.use(
-      (config) => {
-        console.log(`🔄 API Request: ${config.method?.toUpperCase()} ${config.url}`);
+      async (config) => {
+        // Requests without an explicit backend go to the healthiest one
+        const backend = this.getBackend(config.backendId) || this.selectBackend();
+        config.backendId = backend.id;
+        config.baseURL = backend.url;
+        if (this.mockEnabled) {
+          config.adapter = this.mockAdapter;
+        }
+
+        // One correlation id per logical request, kept across retries and failover
+        if (!config.correlationId) {
+          config.correlationId = createRequestId();
+        }
+        config.headers['X-Request-ID'] = config.correlationId;
+
+        // Generated once per logical request so retries replay the same key
+        if (!config.idempotencyKey && config.method !== 'get' && this.getRetryPolicy(config).idempotencyKey) {
+          config.idempotencyKey = createRequestId();
+        }
+        if (config.idempotencyKey) {
+          config.headers['Idempotency-Key'] = config.idempotencyKey;
+        }
+        if (!config.skipAuth) {
+          Object.assign(config.headers, getAuthHeaders());
+        }
+        for (const middleware of this.middleware) {
+          if (middleware.onRequest) {
+            config = (await middleware.onRequest(config, this.getMiddlewareContext(config))) || config;
+          }
+        }
+
+        logger.debug(`🔄 API Request: ${config.method?.toUpperCase()} ${config.url} [${config.correlationId}]`);
         return config;
       },
       (error) => {
-        console.error('❌ API Request Error:', error);
+        logger.error('❌ API Request Error:', error);
         return Promise.reject(error);
       }
     );
 
     // Response interceptor for error handling and retries
     this.client.interceptors.response.use(
-      (response) => {
-        console.log(`✅ API Response: ${response.status} ${response.config.url}`);
-        // Clear retry count on success
-        if (response.config.url) {
-          this.retryAttempts.delete(response.config.url);
+      async (response) => {
+        logger.debug(`✅ API Response: ${response.status} ${response.config.url} [${response.config.correlationId}]`);
+        for (const middleware of this.middleware) {
+          if (middleware.onResponse) {
+            response = (await middleware.onResponse(response, this.getMiddlewareContext(response.config))) || response;
+          }
         }
         return response;
       },
       async (error) => {
+        await this.runErrorMiddleware(error);
         return this.handleResponseError(error);
       }
     );
   }
 
+  // Register middleware to inject headers, record audit events, redact data or
+  // add tracing. A middleware is an object with any of:
+  //   onRequest(config, context)    -> config (may be async)
+  //   onResponse(response, context) -> response (may be async)
+  //   onError(error, context)       -> observe only; the error still propagates
+  // `context` has the request's correlationId, backend and retry attempt.
+  // Returns a function that unregisters the middleware.
+  use(middleware) {
+    this.middleware.push(middleware);
+    return () => {
+      this.middleware = this.middleware.filter(registered => registered !== middleware);
+    };
+  }
+
+  getMiddlewareContext(config) {
+    return {
+      correlationId: config?.correlationId,
+      backend: this.describeBackend(config?.backendId),
+      attempt: config?.retryAttempt || 0,
+    };
+  }
+
+  async runErrorMiddleware(error) {
+    for (const middleware of this.middleware) {
+      if (!middleware.onError) continue;
+      try {
+        await middleware.onError(error, this.getMiddlewareContext(error.config));
+      } catch (middlewareError) {
+        logger.warn(`Middleware ${middleware.name || 'anonymous'} failed in onError:`, middlewareError);
+      }
+    }
+  }
+
   async handleResponseError(error) {
     const config = error.config;
     const url = config?.url || 'unknown';
+
+    // Cancellation is not a failure; let callers recognise it with axios.isCancel
+    if (axios.isCancel(error)) {
+      throw error;
+    }
+
+    // Expired access token: refresh once and replay the original request
+    if (error.response?.status === 401 && config && !config.skipAuth && AUTH_MODE !== AuthMode.NONE) {
+      if (AUTH_MODE === AuthMode.BEARER && !config.authRetried) {
+        const refreshed = await this.refreshAccessToken().catch(() => false);
+        if (refreshed) {
+          return this.client.request({ ...config, authRetried: true });
+        }
+      }
+      const hadCredentials = this.isAuthenticated();
+      tokenStore.clear();
+      this.notifyAuthListeners({ authenticated: false, reason: hadCredentials ? 'expired' : 'required' });
+      throw new AuthenticationError(undefined, { details: error.response.data?.details, cause: error });
+    }
+
+    // Connection failures move the request to the next healthiest backend
+    if (config && this.shouldFailover(error)) {
+      this.recordBackendFailure(config.backendId);
+      const tried = [...(config.triedBackends || []), config.backendId];
+      const next = this.selectBackend(tried);
+      if (next) {
+        logger.debug(`🔀 Failing over ${url} from ${config.backendId} to ${next.id}`);
+        return this.client.request({ ...config, backendId: next.id, triedBackends: tried });
+      }
+    }
     
-    console.error(`❌ API Error: ${error.response?.status} ${url}`, error.response?.data);
+    logger.error(`❌ API Error: ${error.response?.status} ${url}`, error.response?.data);
 
     // Handle specific error cases
     if (error.code === 'ECONNABORTED') {
-      throw new Error('Request timed out. Please try again.');
+      throw new TimeoutError(undefined, { cause: error });
     }
 
     if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      throw new Error('Unable to connect to DeepGuard backend. Please ensure the server is running.');
+      throw new BackendUnreachableError(undefined, { cause: error });
     }
 
-    // Retry logic for network errors and 5xx errors
+    // Retry state lives on the request config, so concurrent requests to the
+    // same URL each get their own budget
     if (config && this.shouldRetry(error)) {
-      const currentRetries = this.retryAttempts.get(url) || 0;
-      if (currentRetries < MAX_RETRIES) {
-        this.retryAttempts.set(url, currentRetries + 1);
-        console.log(`🔄 Retrying request ${currentRetries + 1}/${MAX_RETRIES}: ${url}`);
-        
-        // Exponential backoff: 1s, 2s, 4s
-        await new Promise(resolve => setTimeout(resolve, Math.pow(2, currentRetries) * 1000));
-        
-        return this.client.request(config);
+      const policy = this.getRetryPolicy(config);
+      const attempt = config.retryAttempt || 0;
+      const delay = this.getRetryDelay(error, policy, attempt);
+
+      if (attempt < policy.retries && delay !== null) {
+        logger.debug(`🔄 Retrying request ${attempt + 1}/${policy.retries} in ${Math.round(delay)}ms: ${url}`);
+
+        try {
+          await wait(delay, config.signal);
+        } catch {
+          throw new axios.CanceledError('Request cancelled during retry backoff', null, config);
+        }
+
+        return this.client.request({ ...config, retryAttempt: attempt + 1 });
       }
     }
 
     // Format error response
     const apiError = this.formatApiError(error);
-    throw new Error(apiError.error);
+    throw createApiError(error, apiError, parseRetryAfter(error.response?.headers?.['retry-after']));
   }
 
   shouldRetry(error) {
-    // Retry on network errors or 5xx server errors, but not 4xx client errors
-    return !error.response || (error.response.status >= 500 && error.response.status < 600);
+    // Retry on network errors, 429 and 5xx server errors, but not other 4xx client errors
+    const status = error.response?.status;
+    const retryableStatus = !error.response || status === 429 || (status >= 500 && status < 600 && status !== 501);
+    return retryableStatus && this.canReplay(error.config);
+  }
+
+  // Requests with side effects are only replayed, on the same or another
+  // backend, when the backend can deduplicate them
+  canReplay(config) {
+    const method = (config?.method || 'get').toLowerCase();
+    return !['post', 'patch'].includes(method) || Boolean(config?.idempotencyKey);
+  }
+
+  // Requests bound to a backend-side session (jobs, chunked uploads) pass failover: false
+  shouldFailover(error) {
+    return !error.response
+      && error.code !== 'ECONNABORTED'
+      && error.config.failover !== false
+      && this.canReplay(error.config)
+      && this.backends.length > 1;
+  }
+
+  // A per-request `retryPolicy` overrides the endpoint policy
+  getRetryPolicy(config) {
+    const path = (config.url || '').split('?')[0];
+    const { match, ...endpointPolicy } = RETRY_POLICIES.find(policy => policy.match.test(path)) || {};
+    return { ...DEFAULT_RETRY_POLICY, ...endpointPolicy, ...config.retryPolicy };
+  }
+
+  // Register or replace the retry policy for endpoints matching a path pattern
+  setRetryPolicy(match, policy) {
+    const pattern = match instanceof RegExp ? match : new RegExp('^' + escapeRegExp(match));
+    const index = RETRY_POLICIES.findIndex(existing => existing.match.source === pattern.source);
+    if (index >= 0) {
+      RETRY_POLICIES.splice(index, 1);
+    }
+    RETRY_POLICIES.unshift({ ...policy, match: pattern });
+  }
+
+  // Backoff delay in ms, or null when the server asks us to wait longer than the policy allows
+  getRetryDelay(error, policy, attempt) {
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter <= policy.maxDelay ? retryAfter : null;
+    }
+    // Exponential backoff with full jitter
+    const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt));
+    return Math.random() * ceiling;
   }
 
   formatApiError(error) {
@@ -111,24 +388,266 @@ class ApiService {
     };
   }
 
-  // Health check endpoint
-  async getHealth() {
+  isMockEnabled() {
+    return this.mockEnabled;
+  }
+
+  getMockScenario() {
+    return this.mockScenario;
+  }
+
+  // Switch the built-in mock backend on or off; persisted across reloads
+  setMockEnabled(enabled) {
+    this.mockEnabled = Boolean(enabled);
+    this.saveMockSetting(MOCK_BACKEND_KEY, String(this.mockEnabled));
+  }
+
+  setMockScenario(scenario) {
+    this.mockScenario = scenario;
+    this.saveMockSetting(MOCK_SCENARIO_KEY, scenario);
+  }
+
+  loadMockSetting(key, fallback) {
     try {
-      const response = await this.client.get('/health');
+      return localStorage.getItem(key) || fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  saveMockSetting(key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch (error) {
+      logger.warn('Failed to persist mock backend setting:', error);
+    }
+  }
+
+  // Whether requests need credentials at all
+  isAuthRequired() {
+    return AUTH_MODE !== AuthMode.NONE;
+  }
+
+  getAuthMode() {
+    return AUTH_MODE;
+  }
+
+  isAuthenticated() {
+    if (!this.isAuthRequired()) return true;
+    const credentials = tokenStore.get();
+    return Boolean(AUTH_MODE === AuthMode.API_KEY ? credentials?.apiKey : credentials?.accessToken);
+  }
+
+  // Exchange username and password for access and refresh tokens
+  async login(username, password) {
+    try {
+      const response = await this.client.post('/auth/login', { username, password }, { skipAuth: true });
+      tokenStore.set({
+        accessToken: response.data.access_token,
+        refreshToken: response.data.refresh_token,
+      });
+      this.notifyAuthListeners({ authenticated: true });
       return response.data;
     } catch (error) {
-      console.error('Health check failed:', error);
+      logger.error('Login failed:', error);
+      if (error instanceof AuthenticationError) {
+        throw new AuthenticationError('Invalid username or password.', {
+          remediation: 'Check your credentials and try again.',
+        });
+      }
       throw error;
     }
   }
 
+  // Store an API key and check it against the backend before accepting it
+  async loginWithApiKey(apiKey) {
+    try {
+      await this.client.get('/', { skipAuth: true, headers: { 'X-API-Key': apiKey } });
+      tokenStore.set({ apiKey });
+      this.notifyAuthListeners({ authenticated: true });
+    } catch (error) {
+      logger.error('API key was rejected:', error);
+      if (error instanceof AuthenticationError) {
+        throw new AuthenticationError('The API key was not accepted.', {
+          remediation: 'Check the key with your backend administrator.',
+        });
+      }
+      throw error;
+    }
+  }
+
+  logout() {
+    tokenStore.clear();
+    this.notifyAuthListeners({ authenticated: false, reason: 'logout' });
+  }
+
+  // Concurrent 401s share one refresh request
+  async refreshAccessToken() {
+    const refreshToken = tokenStore.get()?.refreshToken;
+    if (!refreshToken) return false;
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.client
+        .post('/auth/refresh', { refresh_token: refreshToken }, { skipAuth: true })
+        .then((response) => {
+          tokenStore.set({
+            accessToken: response.data.access_token,
+            refreshToken: response.data.refresh_token || refreshToken,
+          });
+          return true;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  // Subscribe to sign-in and sign-out events; returns an unsubscribe function
+  subscribeToAuth(listener) {
+    this.authListeners.add(listener);
+    return () => this.authListeners.delete(listener);
+  }
+
+  notifyAuthListeners(event) {
+    this.authListeners.forEach(listener => listener(event));
+  }
+
+  // Health check endpoint. Checks every configured backend and returns the
+  // health of the one requests are currently routed to.
+  async getHealth() {
+    const checks = await Promise.allSettled(this.backends.map(backend => this.checkBackendHealth(backend)));
+    const active = this.selectBackend();
+    const check = checks[this.backends.indexOf(active)];
+
+    if (check.status === 'rejected') {
+      logger.error('Health check failed:', check.reason);
+      throw check.reason;
+    }
+    return { ...check.value, served_by: this.describeBackend(active.id) };
+  }
+
+  async checkBackendHealth(backend) {
+    const startedAt = Date.now();
+    try {
+      const response = await this.client.get('/health', {
+        backendId: backend.id,
+        failover: false,
+      });
+      const health = normalizeHealth(response.data);
+      this.updateBackend(backend.id, {
+        healthy: health.status === 'healthy',
+        latencyMs: Date.now() - startedAt,
+        consecutiveFailures: 0,
+        lastCheckedAt: new Date().toISOString(),
+        modelsLoaded: health.models_loaded,
+      });
+      return health;
+    } catch (error) {
+      this.updateBackend(backend.id, {
+        healthy: false,
+        latencyMs: null,
+        consecutiveFailures: this.getBackend(backend.id).consecutiveFailures + 1,
+        lastCheckedAt: new Date().toISOString(),
+      });
+      throw error;
+    }
+  }
+
+  getBackends() {
+    return this.backends;
+  }
+
+  getBackend(backendId) {
+    return this.backends.find(backend => backend.id === backendId);
+  }
+
+  // The pinned backend if set, otherwise the best scoring one not in `exclude`
+  selectBackend(exclude = []) {
+    const candidates = this.backends.filter(backend => !exclude.includes(backend.id));
+    const pinned = candidates.find(backend => backend.id === this.pinnedBackendId);
+    if (pinned) return pinned;
+    if (this.pinnedBackendId && exclude.includes(this.pinnedBackendId)) return null;
+    return [...candidates].sort((a, b) => scoreBackend(b) - scoreBackend(a))[0] || null;
+  }
+
+  // Pin all traffic to one backend, or pass null to go back to automatic routing
+  pinBackend(backendId) {
+    this.pinnedBackendId = backendId && this.getBackend(backendId) ? backendId : null;
+    try {
+      if (this.pinnedBackendId) {
+        localStorage.setItem(PINNED_BACKEND_KEY, this.pinnedBackendId);
+      } else {
+        localStorage.removeItem(PINNED_BACKEND_KEY);
+      }
+    } catch (error) {
+      logger.warn('Failed to persist pinned backend:', error);
+    }
+    this.notifyBackendListeners();
+  }
+
+  getPinnedBackendId() {
+    return this.pinnedBackendId;
+  }
+
+  loadPinnedBackend() {
+    try {
+      const saved = localStorage.getItem(PINNED_BACKEND_KEY);
+      return saved && this.getBackend(saved) ? saved : null;
+    } catch {
+      return null;
+    }
+  }
+
+  recordBackendFailure(backendId) {
+    const backend = this.getBackend(backendId);
+    if (backend) {
+      this.updateBackend(backendId, {
+        healthy: false,
+        consecutiveFailures: backend.consecutiveFailures + 1,
+      });
+    }
+  }
+
+  updateBackend(backendId, updates) {
+    this.backends = this.backends.map(backend => (
+      backend.id === backendId ? { ...backend, ...updates } : backend
+    ));
+    this.notifyBackendListeners();
+  }
+
+  // Subscribe to backend health and pin changes; returns an unsubscribe function
+  subscribeToBackends(listener) {
+    this.backendListeners.add(listener);
+    return () => this.backendListeners.delete(listener);
+  }
+
+  notifyBackendListeners() {
+    this.backendListeners.forEach(listener => listener(this.backends));
+  }
+
+  describeBackend(backendId) {
+    const backend = this.getBackend(backendId);
+    return backend ? { id: backend.id, name: backend.name, url: backend.url } : undefined;
+  }
+
+  // Validate a detection result and record which backend produced it and
+  // the request's correlation id
+  annotateResult(result, { backendId, correlationId }) {
+    return {
+      ...normalizeDetectionResult(result),
+      served_by: this.describeBackend(backendId),
+      correlation_id: correlationId,
+    };
+  }
+
   // Get API information
   async getApiInfo() {
     try {
       const response = await this.client.get('/');
       return response.data;
     } catch (error) {
-      console.error('Failed to get API info:', error);
+      logger.error('Failed to get API info:', error);
       throw error;
     }
   }
@@ -137,84 +656,446 @@ class ApiService {
   async getSupportedFormats() {
     try {
       const response = await this.client.get('/supported-formats');
-      return response.data;
+      this.knownFormats = normalizeSupportedFormats(response.data);
+      return this.knownFormats;
     } catch (error) {
-      console.error('Failed to get supported formats:', error);
+      logger.error('Failed to get supported formats:', error);
       throw error;
     }
   }
 
-  // Upload file for deepfake detection
-  async detectDeepfake(file, config, onProgress, abortSignal) {
-    try {
-      const formData = new FormData();
-      formData.append('file', file);
+  // Build a detection URL with calibration config as query parameters
+  buildDetectUrl(path, config) {
+    if (!config) return path;
 
-      // Add calibration config as query parameters if provided
-      let url = '/detect';
-      if (config) {
-        const params = new URLSearchParams();
-        if (config.flip_output_interpretation !== undefined) {
-          params.set('flip_output_interpretation', config.flip_output_interpretation.toString());
-        }
-        if (config.threshold !== undefined) {
-          params.set('threshold', config.threshold.toString());
-        }
-        if (config.uncertainty_range !== undefined) {
-          params.set('uncertainty_range', config.uncertainty_range.toString());
-        }
-        if (params.toString()) {
-          url += '?' + params.toString();
-        }
-      }
+    const params = new URLSearchParams();
+    if (config.flip_output_interpretation !== undefined) {
+      params.set('flip_output_interpretation', config.flip_output_interpretation.toString());
+    }
+    if (config.threshold !== undefined) {
+      params.set('threshold', config.threshold.toString());
+    }
+    if (config.uncertainty_range !== undefined) {
+      params.set('uncertainty_range', config.uncertainty_range.toString());
+    }
+    return params.toString() ? `${path}?${params.toString()}` : path;
+  }
 
+  // Multipart upload of a single file with progress reporting; resolves with
+  // the axios response so callers can see which backend served it.
+  // Large files are first sent as a chunked upload session and then
+  // referenced by its upload_id instead of the file body.
+  async uploadFile(url, file, onProgress, abortSignal) {
+    const formData = new FormData();
+    if (this.shouldUploadInChunks(file)) {
+      const session = await this.uploadInChunks(file, onProgress, abortSignal);
+      formData.append('upload_id', session.upload_id);
       const response = await this.client.post(url, formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
         signal: abortSignal,
-        onUploadProgress: (progressEvent) => {
-          if (onProgress && progressEvent.total) {
-            const percentage = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-            onProgress({
-              loaded: progressEvent.loaded,
-              total: progressEvent.total,
-              percentage
-            });
-          }
+        backendId: session.backend_id,
+        failover: false,
+      });
+      this.removeUploadSession(file);
+      return response;
+    }
+
+    formData.append('file', file);
+
+    const response = await this.client.post(url, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      signal: abortSignal,
+      onUploadProgress: (progressEvent) => {
+        if (onProgress && progressEvent.total) {
+          const percentage = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+          onProgress({
+            loaded: progressEvent.loaded,
+            total: progressEvent.total,
+            percentage
+          });
+        }
+      },
+    });
+
+    return response;
+  }
+
+  shouldUploadInChunks(file) {
+    // The mock backend has no upload sessions
+    return CHUNKED_UPLOADS_ENABLED && !this.mockEnabled && file.size > CHUNKED_UPLOAD_THRESHOLD;
+  }
+
+  // Send a file in fixed-size chunks, resuming a previous session for the
+  // same file if one exists. Resolves with the upload session.
+  async uploadInChunks(file, onProgress, abortSignal) {
+    const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
+    const session = await this.openUploadSession(file, totalChunks, abortSignal);
+    const received = new Set(session.received_chunks || []);
+
+    const reportProgress = (loaded) => {
+      if (onProgress) {
+        onProgress({
+          loaded,
+          total: file.size,
+          percentage: Math.round((loaded * 100) / file.size)
+        });
+      }
+    };
+
+    // Bytes already on the server count towards progress straight away
+    let confirmedBytes = 0;
+    received.forEach(index => {
+      confirmedBytes += Math.min(CHUNK_SIZE, file.size - index * CHUNK_SIZE);
+    });
+    reportProgress(confirmedBytes);
+
+    for (let index = 0; index < totalChunks; index++) {
+      if (received.has(index)) continue;
+
+      const start = index * CHUNK_SIZE;
+      const end = Math.min(start + CHUNK_SIZE, file.size);
+      const bytesBefore = confirmedBytes;
+      await this.uploadChunk(session, file, index, start, end, (chunkLoaded) => {
+        reportProgress(bytesBefore + chunkLoaded);
+      }, abortSignal);
+      confirmedBytes += end - start;
+      reportProgress(confirmedBytes);
+    }
+
+    await this.client.post(`/uploads/${encodeURIComponent(session.upload_id)}/complete`, null, {
+      signal: abortSignal,
+      backendId: session.backend_id,
+      failover: false,
+    });
+    return session;
+  }
+
+  // Reuse the stored session for this file when the backend still knows it.
+  // Sessions live on one backend, so every request for them is sent there.
+  async openUploadSession(file, totalChunks, abortSignal) {
+    const saved = this.getUploadSessions()[this.getFileFingerprint(file)];
+    if (saved && this.getBackend(saved.backend_id)) {
+      try {
+        const response = await this.client.get(`/uploads/${encodeURIComponent(saved.upload_id)}`, {
+          signal: abortSignal,
+          backendId: saved.backend_id,
+          failover: false,
+        });
+        if (response.data.chunk_size === CHUNK_SIZE) {
+          logger.debug(`⏯️ Resuming upload ${saved.upload_id}: ${response.data.received_chunks?.length || 0}/${totalChunks} chunks received`);
+          return { ...response.data, backend_id: saved.backend_id };
+        }
+      } catch (error) {
+        if (abortSignal?.aborted) throw error;
+        logger.warn('Previous upload session is no longer available, starting over:', error);
+      }
+    }
+
+    const response = await this.client.post('/uploads', {
+      file_name: file.name,
+      file_size: file.size,
+      content_type: file.type,
+      chunk_size: CHUNK_SIZE,
+      total_chunks: totalChunks,
+    }, {
+      signal: abortSignal,
+    });
+    const backendId = response.config.backendId;
+    this.saveUploadSession(file, response.data.upload_id, backendId);
+    return { ...response.data, backend_id: backendId, received_chunks: [] };
+  }
+
+  // Upload one chunk; failed chunks are retried under the chunk retry policy
+  async uploadChunk(session, file, index, start, end, onChunkProgress, abortSignal) {
+    await this.client.put(
+      `/uploads/${encodeURIComponent(session.upload_id)}/chunks/${index}`,
+      file.slice(start, end),
+      {
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Content-Range': `bytes ${start}-${end - 1}/${file.size}`,
         },
+        signal: abortSignal,
+        backendId: session.backend_id,
+        failover: false,
+        onUploadProgress: (progressEvent) => onChunkProgress(progressEvent.loaded),
+      }
+    );
+  }
+
+  // Identifies a file well enough to match it against a stored session
+  getFileFingerprint(file) {
+    return `${file.name}:${file.size}:${file.lastModified || 0}`;
+  }
+
+  getUploadSessions() {
+    try {
+      const saved = localStorage.getItem(UPLOAD_SESSIONS_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch {
+      return {};
+    }
+  }
+
+  saveUploadSession(file, uploadId, backendId) {
+    this.writeUploadSessions({
+      ...this.getUploadSessions(),
+      [this.getFileFingerprint(file)]: {
+        upload_id: uploadId,
+        backend_id: backendId,
+        started_at: new Date().toISOString(),
+      },
+    });
+  }
+
+  removeUploadSession(file) {
+    const sessions = this.getUploadSessions();
+    delete sessions[this.getFileFingerprint(file)];
+    this.writeUploadSessions(sessions);
+  }
+
+  writeUploadSessions(sessions) {
+    try {
+      localStorage.setItem(UPLOAD_SESSIONS_KEY, JSON.stringify(sessions));
+    } catch (error) {
+      logger.warn('Failed to persist upload sessions:', error);
+    }
+  }
+
+  // Upload file for deepfake detection
+  async detectDeepfake(file, config, onProgress, abortSignal) {
+    try {
+      const response = await this.uploadFile(this.buildDetectUrl('/detect', config), file, onProgress, abortSignal);
+      return this.annotateResult(response.data, response.config);
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        throw new CancelledError();
+      }
+      logger.error('Deepfake detection failed:', error);
+      throw error;
+    }
+  }
+
+  // Download remote media in the browser so it can go through the normal
+  // upload flow. Resolves with null when the browser is not allowed to read
+  // the URL (CORS or network failure); callers then fall back to
+  // detectDeepfakeFromUrl and let the backend fetch it.
+  async fetchRemoteMedia(url, abortSignal) {
+    let response;
+    try {
+      response = await fetch(url, { signal: abortSignal });
+    } catch (error) {
+      if (abortSignal?.aborted) {
+        throw new CancelledError();
+      }
+      logger.info(`Browser could not fetch ${url}; the backend will fetch it instead`, error);
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new ApiError(`The link returned HTTP ${response.status}.`, {
+        status: response.status,
+        details: { url },
+        remediation: 'Check that the link is correct and still available, or download the file and upload it.',
       });
+    }
+
+    const blob = await response.blob();
+    if (blob.size > 100 * 1024 * 1024) {
+      throw new FileTooLargeError(`Linked file too large: ${(blob.size / 1024 / 1024).toFixed(2)}MB. Maximum size: 100MB`);
+    }
+    return new File([blob], getFileNameFromUrl(url, blob.type), { type: blob.type });
+  }
 
+  // Ask the backend to download and analyze a URL itself
+  async detectDeepfakeFromUrl(url, config, abortSignal) {
+    try {
+      const response = await this.client.post(this.buildDetectUrl('/detect/url', config), { url }, {
+        signal: abortSignal,
+      });
+      return this.annotateResult(response.data, response.config);
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        throw new CancelledError();
+      }
+      logger.error('URL detection failed:', error);
+      throw error;
+    }
+  }
+
+  // Whether detections should go through the asynchronous job endpoints
+  isJobModeEnabled() {
+    return DETECTION_MODE === 'job';
+  }
+
+  // Submit a file as a detection job; resolves once the upload is accepted.
+  // The job only exists on the backend that accepted it, recorded as backend_id.
+  async submitDetectionJob(file, config, onProgress, abortSignal) {
+    try {
+      const response = await this.uploadFile(this.buildDetectUrl('/jobs', config), file, onProgress, abortSignal);
+      const job = {
+        ...response.data,
+        backend_id: response.config.backendId,
+        correlation_id: response.config.correlationId,
+      };
+      this.savePendingJob({
+        job_id: job.job_id,
+        backend_id: job.backend_id,
+        correlation_id: job.correlation_id,
+        file_name: file.name,
+        file_type: file.type,
+        file_size: file.size,
+        submitted_at: new Date().toISOString(),
+      });
+      return job;
+    } catch (error) {
+      if (axios.isCancel(error)) {
+        throw new CancelledError();
+      }
+      logger.error('Detection job submission failed:', error);
+      throw error;
+    }
+  }
+
+  // Get the current status of a detection job. `job` is a submitted or
+  // pending job with job_id, backend_id and correlation_id.
+  async getJobStatus(job, abortSignal) {
+    try {
+      const response = await this.client.get(`/jobs/${encodeURIComponent(job.job_id)}`, {
+        signal: abortSignal,
+        backendId: job.backend_id,
+        correlationId: job.correlation_id,
+        failover: false,
+      });
       return response.data;
     } catch (error) {
       if (axios.isCancel(error)) {
-        throw new Error('Upload was cancelled');
+        throw new CancelledError();
       }
-      console.error('Deepfake detection failed:', error);
+      logger.error('Failed to get job status:', error);
       throw error;
     }
   }
 
+  // Poll a job until it completes or fails, reporting each status change.
+  // A job the backend no longer knows is dropped from the pending list; one
+  // whose polling was cancelled keeps running there and stays resumable.
+  async pollJob(submittedJob, onStatus, abortSignal) {
+    try {
+      return await this.pollJobUntilDone(submittedJob, onStatus, abortSignal);
+    } catch (error) {
+      if (error.status === 404) {
+        this.removePendingJob(submittedJob.job_id);
+      }
+      throw error;
+    }
+  }
+
+  async pollJobUntilDone(submittedJob, onStatus, abortSignal) {
+    const startedAt = Date.now();
+    let lastStatus;
+
+    while (Date.now() - startedAt < JOB_MAX_WAIT) {
+      const job = await this.getJobStatus(submittedJob, abortSignal);
+
+      if (onStatus && job.status !== lastStatus) {
+        onStatus(job);
+      }
+      lastStatus = job.status;
+
+      if (TERMINAL_JOB_STATUSES.includes(job.status)) {
+        // The backend no longer needs to be asked about this job
+        this.removePendingJob(submittedJob.job_id);
+        if (job.status === JobStatus.FAILED) {
+          throw new ServerError(job.error || 'Detection job failed', { details: job.details });
+        }
+        return this.annotateResult(job.result, {
+          backendId: submittedJob.backend_id,
+          correlationId: submittedJob.correlation_id,
+        });
+      }
+
+      await wait(JOB_POLL_INTERVAL, abortSignal);
+    }
+
+    throw new TimeoutError('Detection job is still running.', {
+      remediation: 'You can resume it later from the Detector page.',
+    });
+  }
+
+  // Submit a detection job and wait for its result
+  async detectDeepfakeJob(file, config, onProgress, onStatus, abortSignal) {
+    const job = await this.submitDetectionJob(file, config, onProgress, abortSignal);
+    if (onStatus) {
+      onStatus(job);
+    }
+    return this.pollJob(job, onStatus, abortSignal);
+  }
+
+  // Jobs submitted from this browser that have not reached a terminal state
+  getPendingJobs() {
+    try {
+      const saved = localStorage.getItem(PENDING_JOBS_KEY);
+      return saved ? JSON.parse(saved) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  savePendingJob(job) {
+    const jobs = this.getPendingJobs().filter(pending => pending.job_id !== job.job_id);
+    this.writePendingJobs([...jobs, job]);
+  }
+
+  removePendingJob(jobId) {
+    this.writePendingJobs(this.getPendingJobs().filter(pending => pending.job_id !== jobId));
+  }
+
+  writePendingJobs(jobs) {
+    try {
+      localStorage.setItem(PENDING_JOBS_KEY, JSON.stringify(jobs));
+    } catch (error) {
+      logger.warn('Failed to persist pending detection jobs:', error);
+    }
+  }
+
   // Create an AbortController for cancelling requests
   createAbortController() {
     return new AbortController();
   }
 
-  // Validate file against supported formats
-  async validateFile(file) {
+  // Formats to validate against: the caller's (e.g. SWR-cached) list, the last
+  // one fetched, or a fresh fetch. Resolves with null when none is available.
+  async resolveSupportedFormats(formats) {
+    if (formats) return formats;
+    if (this.knownFormats) return this.knownFormats;
     try {
-      const formats = await this.getSupportedFormats();
+      return await this.getSupportedFormats();
+    } catch {
+      return null;
+    }
+  }
+
+  // Validate a file before upload using its name, size and header bytes.
+  // Resolves with { valid: true, warnings, detectedType } or
+  // { valid: false, error } where `error` is an ApiError. Without a list of
+  // supported formats (backend offline) the sniffed content type decides.
+  async validateFile(file, formats) {
+    try {
+      const supportedFormats = await this.resolveSupportedFormats(formats);
       const fileExtension = '.' + file.name.split('.').pop()?.toLowerCase();
-      
-      const allSupportedExtensions = [
-        ...formats.audio,
-        ...formats.image
-      ];
+      const allSupportedExtensions = supportedFormats
+        ? getSupportedExtensions(supportedFormats)
+        : null;
 
-      if (!allSupportedExtensions.includes(fileExtension)) {
+      if (allSupportedExtensions && !allSupportedExtensions.includes(fileExtension)) {
         return {
           valid: false,
-          error: `Unsupported file format: ${fileExtension}. Supported formats: ${allSupportedExtensions.join(', ')}`
+          error: new UnsupportedFormatError(`Unsupported file format: ${fileExtension}. Supported formats: ${allSupportedExtensions.join(', ')}`)
         };
       }
 
@@ -223,22 +1104,54 @@ class ApiService {
       if (file.size > maxSize) {
         return {
           valid: false,
-          error: `File too large: ${(file.size / 1024 / 1024).toFixed(2)}MB. Maximum size: 100MB`
+          error: new FileTooLargeError(`File too large: ${(file.size / 1024 / 1024).toFixed(2)}MB. Maximum size: 100MB`)
+        };
+      }
+
+      const detectedType = await sniffFileType(file);
+      const details = { file_name: file.name, extension: fileExtension, detected_format: detectedType?.format };
+
+      // Only formats with a known signature can be caught disguised; others are let through
+      if (!detectedType) {
+        if (isSniffableExtension(fileExtension)) {
+          return {
+            valid: false,
+            error: new UnsupportedFormatError(`This ${fileExtension} file does not contain recognizable ${fileExtension.slice(1).toUpperCase()} data. It may be corrupted or disguised.`, { details })
+          };
+        }
+        return { valid: true, warnings: [], detectedType };
+      }
+
+      const contentSupported = allSupportedExtensions
+        ? detectedType.extensions.some(extension => allSupportedExtensions.includes(extension))
+        : ['audio', 'image', 'video'].includes(detectedType.kind);
+
+      if (!contentSupported) {
+        return {
+          valid: false,
+          error: new UnsupportedFormatError(`This ${fileExtension} file is actually ${detectedType.label}, which cannot be analyzed.`, { details })
         };
       }
 
-      return { valid: true };
+      // Supported content behind the wrong extension is analyzed, but flagged
+      const warnings = detectedType.extensions.includes(fileExtension)
+        ? []
+        : [`This ${fileExtension} file is actually ${detectedType.label}. It may have been renamed.`];
+
+      return { valid: true, warnings, detectedType };
     } catch (error) {
       return {
         valid: false,
-        error: 'Unable to validate file format. Please try again.'
+        error: error instanceof ApiError
+          ? error
+          : new ApiError('Unable to validate file format. Please try again.', { cause: error })
       };
     }
   }
 
   // Get base URL for debugging
   getBaseUrl() {
-    return API_BASE_URL;
+    return this.selectBackend()?.url || API_BASE_URL;
   }
 }
 
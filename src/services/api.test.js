@@ -0,0 +1,113 @@
+import apiService, { parseRetryAfter } from './api';
+import { FileTooLargeError, UnsupportedFormatError } from './errors';
+
+const formats = { audio: ['.wav', '.mp3'], image: ['.png', '.jpg'] };
+
+const ascii = text => Array.from(text, char => char.charCodeAt(0));
+const WAV_HEADER = [...ascii('RIFF'), 0x24, 0, 0, 0, ...ascii('WAVE'), ...ascii('fmt ')];
+const PNG_HEADER = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d, ...ascii('IHDR')];
+const PDF_HEADER = ascii('%PDF-1.7\n%');
+
+// jsdom's Blob cannot be read back, so files are stood in for by what validation uses
+const fileOf = (bytes, name, size) => {
+  const data = new Uint8Array(bytes);
+  return {
+    name,
+    size: size ?? data.length,
+    slice: (start, end) => ({ arrayBuffer: async () => data.slice(start, end).buffer }),
+  };
+};
+
+describe('validateFile', () => {
+  it('accepts supported content behind its own extension', async () => {
+    const validation = await apiService.validateFile(fileOf(WAV_HEADER, 'voice.wav'), formats);
+    expect(validation).toMatchObject({ valid: true, warnings: [] });
+    expect(validation.detectedType.format).toBe('WAV');
+  });
+
+  it('rejects extensions the backend does not support', async () => {
+    const validation = await apiService.validateFile(fileOf(WAV_HEADER, 'voice.aiff'), formats);
+    expect(validation.valid).toBe(false);
+    expect(validation.error).toBeInstanceOf(UnsupportedFormatError);
+  });
+
+  it('rejects files over 100 MB', async () => {
+    const validation = await apiService.validateFile(fileOf(WAV_HEADER, 'voice.wav', 101 * 1024 * 1024), formats);
+    expect(validation.error).toBeInstanceOf(FileTooLargeError);
+  });
+
+  it('flags supported content behind a mismatched extension', async () => {
+    const validation = await apiService.validateFile(fileOf(PNG_HEADER, 'voice.wav'), formats);
+    expect(validation.valid).toBe(true);
+    expect(validation.warnings).toEqual(['This .wav file is actually a PNG image. It may have been renamed.']);
+  });
+
+  it('rejects unsupported content behind a supported extension', async () => {
+    const validation = await apiService.validateFile(fileOf(PDF_HEADER, 'photo.png'), formats);
+    expect(validation.valid).toBe(false);
+    expect(validation.error.message).toBe('This .png file is actually a PDF document, which cannot be analyzed.');
+    expect(validation.error.details).toMatchObject({ extension: '.png', detected_format: 'PDF' });
+  });
+
+  it('rejects a truncated header for an extension with a known signature', async () => {
+    const validation = await apiService.validateFile(fileOf(ascii('RIFF'), 'voice.wav'), formats);
+    expect(validation.valid).toBe(false);
+    expect(validation.error).toBeInstanceOf(UnsupportedFormatError);
+    expect(validation.error.message).toMatch(/does not contain recognizable WAV data/);
+  });
+
+  it('lets unrecognized content through for extensions without a known signature', async () => {
+    const validation = await apiService.validateFile(fileOf([1, 2, 3, 4], 'scan.tiff'), { ...formats, image: ['.tiff'] });
+    expect(validation).toMatchObject({ valid: true, warnings: [], detectedType: null });
+  });
+});
+
+describe('parseRetryAfter', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads a number of seconds', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter('0')).toBe(0);
+  });
+
+  it('reads an HTTP date relative to now', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'));
+    expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT')).toBe(30000);
+    expect(parseRetryAfter('Wed, 21 Oct 2015 07:27:00 GMT')).toBe(0);
+  });
+
+  it('ignores missing and unreadable values', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('getRetryDelay', () => {
+  const policy = { retries: 3, baseDelay: 1000, maxDelay: 30000 };
+  const errorWith = retryAfter => ({ response: { status: 503, headers: retryAfter ? { 'retry-after': retryAfter } : {} } });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('waits as long as Retry-After asks', () => {
+    expect(apiService.getRetryDelay(errorWith('5'), policy, 0)).toBe(5000);
+  });
+
+  it('gives up when Retry-After is longer than the policy allows', () => {
+    expect(apiService.getRetryDelay(errorWith('31'), policy, 0)).toBeNull();
+  });
+
+  it('backs off exponentially with full jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    expect(apiService.getRetryDelay(errorWith(), policy, 0)).toBe(500);
+    expect(apiService.getRetryDelay(errorWith(), policy, 2)).toBe(2000);
+  });
+
+  it('caps the backoff at maxDelay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    expect(apiService.getRetryDelay(errorWith(), policy, 10)).toBe(30000);
+  });
+});
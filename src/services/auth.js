@@ -0,0 +1,63 @@
+// Credential storage for ApiService.
+// REACT_APP_AUTH_MODE: 'none' (default), 'bearer' (login + refresh token) or 'api-key'
+// REACT_APP_AUTH_STORAGE: 'memory' (default, cleared on reload) or 'session' (sessionStorage)
+
+import logger from './logger';
+
+export const AuthMode = {
+  NONE: 'none',
+  BEARER: 'bearer',
+  API_KEY: 'api-key'
+};
+
+export const AUTH_MODE = process.env.REACT_APP_AUTH_MODE || AuthMode.NONE;
+const AUTH_STORAGE = process.env.REACT_APP_AUTH_STORAGE || 'memory';
+const CREDENTIALS_KEY = 'deepguard_credentials';
+
+let memoryCredentials = null;
+
+function readCredentials() {
+  if (AUTH_STORAGE !== 'session') {
+    return memoryCredentials;
+  }
+  try {
+    const saved = sessionStorage.getItem(CREDENTIALS_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCredentials(credentials) {
+  if (AUTH_STORAGE !== 'session') {
+    memoryCredentials = credentials;
+    return;
+  }
+  try {
+    if (credentials) {
+      sessionStorage.setItem(CREDENTIALS_KEY, JSON.stringify(credentials));
+    } else {
+      sessionStorage.removeItem(CREDENTIALS_KEY);
+    }
+  } catch (error) {
+    logger.warn('Failed to persist credentials to sessionStorage:', error);
+  }
+}
+
+export const tokenStore = {
+  get: readCredentials,
+  set: writeCredentials,
+  clear: () => writeCredentials(null),
+};
+
+// Headers to attach to an outgoing request for the configured auth mode
+export function getAuthHeaders() {
+  const credentials = readCredentials();
+  if (AUTH_MODE === AuthMode.BEARER && credentials?.accessToken) {
+    return { Authorization: `Bearer ${credentials.accessToken}` };
+  }
+  if (AUTH_MODE === AuthMode.API_KEY && credentials?.apiKey) {
+    return { 'X-API-Key': credentials.apiKey };
+  }
+  return {};
+}
@@ -0,0 +1,162 @@
+// Typed errors thrown by ApiService. Each carries the HTTP status (if any),
+// the backend `details` payload and a suggested fix for the user.
+
+export class ApiError extends Error {
+  constructor(message, { status, details, remediation, timestamp, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+    this.remediation = remediation;
+    this.timestamp = timestamp || new Date().toISOString();
+    this.cause = cause;
+  }
+
+  // Whether trying the same request again has a reasonable chance of working
+  get retryable() {
+    return false;
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(message = 'Request timed out. Please try again.', options = {}) {
+    super(message, {
+      remediation: 'Large or long files take longer to analyze. Try again, or trim the file before uploading.',
+      ...options,
+    });
+    this.name = 'TimeoutError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+export class BackendUnreachableError extends ApiError {
+  constructor(message = 'Unable to connect to DeepGuard backend. Please ensure the server is running.', options = {}) {
+    super(message, {
+      remediation: 'Check your network connection and that the backend is running, then try again.',
+      ...options,
+    });
+    this.name = 'BackendUnreachableError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+export class UnsupportedFormatError extends ApiError {
+  constructor(message = 'Unsupported file format.', options = {}) {
+    super(message, {
+      remediation: 'Convert the file to a supported format (for example WAV for audio or PNG for images) and upload it again.',
+      ...options,
+    });
+    this.name = 'UnsupportedFormatError';
+  }
+}
+
+export class FileTooLargeError extends ApiError {
+  constructor(message = 'File too large. Maximum size: 100MB', options = {}) {
+    super(message, {
+      remediation: 'Compress the file or trim it to the section you need, keeping it under 100MB.',
+      ...options,
+    });
+    this.name = 'FileTooLargeError';
+  }
+}
+
+export class RateLimitedError extends ApiError {
+  constructor(message = 'Too many requests. Please wait before trying again.', { retryAfterMs, ...options } = {}) {
+    super(message, {
+      remediation: retryAfterMs
+        ? `Wait about ${Math.ceil(retryAfterMs / 1000)} seconds before trying again.`
+        : 'Wait a moment before trying again.',
+      ...options,
+    });
+    this.name = 'RateLimitedError';
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+export class ServerError extends ApiError {
+  constructor(message = 'The backend failed to process the request.', options = {}) {
+    super(message, {
+      remediation: 'This is usually temporary. Try again in a few moments.',
+      ...options,
+    });
+    this.name = 'ServerError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+export class InvalidResponseError extends ApiError {
+  constructor(message = 'The backend returned an unexpected response.', options = {}) {
+    super(message, {
+      remediation: 'The frontend and backend versions may not match. Check that both are up to date.',
+      ...options,
+    });
+    this.name = 'InvalidResponseError';
+  }
+}
+
+export class AuthenticationError extends ApiError {
+  constructor(message = 'Your session has expired. Please sign in again.', options = {}) {
+    super(message, {
+      status: 401,
+      remediation: 'Sign in again to continue; your file will be kept.',
+      ...options,
+    });
+    this.name = 'AuthenticationError';
+  }
+}
+
+export class CancelledError extends ApiError {
+  constructor(message = 'Upload was cancelled', options = {}) {
+    super(message, options);
+    this.name = 'CancelledError';
+  }
+}
+
+const FORMAT_ERROR_PATTERN = /format|unsupported|extension|content type/i;
+
+// Map a failed axios request onto the matching ApiError subclass
+export function createApiError(error, formatted, retryAfterMs) {
+  const status = error.response?.status;
+  const options = {
+    status,
+    details: formatted.details,
+    timestamp: formatted.timestamp,
+    cause: error,
+  };
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new TimeoutError(undefined, options);
+  }
+  if (!error.response) {
+    return new BackendUnreachableError(undefined, options);
+  }
+  if (status === 401) {
+    return new AuthenticationError(undefined, options);
+  }
+  if (status === 413) {
+    return new FileTooLargeError(formatted.error, options);
+  }
+  if (status === 415 || ((status === 400 || status === 422) && FORMAT_ERROR_PATTERN.test(formatted.error))) {
+    return new UnsupportedFormatError(formatted.error, options);
+  }
+  if (status === 429) {
+    return new RateLimitedError(formatted.error, { ...options, retryAfterMs });
+  }
+  if (status >= 500) {
+    return new ServerError(formatted.error, options);
+  }
+  return new ApiError(formatted.error, options);
+}
@@ -0,0 +1,82 @@
+// Leveled logger for the service layer.
+// Defaults to silent in production builds and debug otherwise. Override with
+// REACT_APP_LOG_LEVEL, or at runtime with localStorage.setItem('debug', 'deepguard:*').
+
+export const LogLevel = {
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error',
+  SILENT: 'silent'
+};
+
+const LEVEL_ORDER = [LogLevel.DEBUG, LogLevel.INFO, LogLevel.WARN, LogLevel.ERROR, LogLevel.SILENT];
+
+function getInitialLevel() {
+  try {
+    if (localStorage.getItem('debug')?.includes('deepguard')) {
+      return LogLevel.DEBUG;
+    }
+  } catch {
+    // localStorage unavailable; fall through to build-time config
+  }
+  // Unknown values would otherwise enable every level
+  const configured = process.env.REACT_APP_LOG_LEVEL?.toLowerCase();
+  if (LEVEL_ORDER.includes(configured)) {
+    return configured;
+  }
+  return process.env.NODE_ENV === 'production' ? LogLevel.SILENT : LogLevel.DEBUG;
+}
+
+// Default sink writes to the browser console
+function consoleSink(level, message, ...args) {
+  const method = level === LogLevel.DEBUG ? 'log' : level;
+  console[method](message, ...args);
+}
+
+class Logger {
+  constructor() {
+    this.level = getInitialLevel();
+    this.sink = consoleSink;
+  }
+
+  setLevel(level) {
+    if (LEVEL_ORDER.includes(level)) {
+      this.level = level;
+    }
+  }
+
+  // Redirect log output, e.g. to a remote collector; pass null to restore the console
+  setSink(sink) {
+    this.sink = sink || consoleSink;
+  }
+
+  isEnabled(level) {
+    return LEVEL_ORDER.indexOf(level) >= LEVEL_ORDER.indexOf(this.level) && level !== LogLevel.SILENT;
+  }
+
+  log(level, message, ...args) {
+    if (this.isEnabled(level)) {
+      this.sink(level, message, ...args);
+    }
+  }
+
+  debug(message, ...args) {
+    this.log(LogLevel.DEBUG, message, ...args);
+  }
+
+  info(message, ...args) {
+    this.log(LogLevel.INFO, message, ...args);
+  }
+
+  warn(message, ...args) {
+    this.log(LogLevel.WARN, message, ...args);
+  }
+
+  error(message, ...args) {
+    this.log(LogLevel.ERROR, message, ...args);
+  }
+}
+
+export const logger = new Logger();
+export default logger;
@@ -0,0 +1,300 @@
+import axios from 'axios';
+import { DetectionResult, FileType, JobStatus } from '../types/api';
+
+// In-browser stand-in for the DeepGuard FastAPI backend, installed as an axios
+// adapter. Implements /health, /, /supported-formats, /detect, /detect/url, the /jobs
+// endpoints and /auth/login and /auth/refresh, with deterministic results derived
+// from the uploaded file, so the UI can be demoed and developed without a
+// running backend. Any username and password are accepted.
+
+export const MockScenario = {
+  NORMAL: 'normal',
+  SLOW: 'slow',
+  SERVER_ERROR: 'server-error',
+  MODELS_NOT_LOADED: 'models-not-loaded',
+  UNCERTAIN: 'uncertain'
+};
+
+export const MOCK_SCENARIOS = [
+  { value: MockScenario.NORMAL, label: 'Normal', description: 'Healthy backend with realistic results' },
+  { value: MockScenario.SLOW, label: 'Slow responses', description: 'Every detection takes about 8 seconds' },
+  { value: MockScenario.SERVER_ERROR, label: 'Server errors', description: '/detect fails with HTTP 500' },
+  { value: MockScenario.MODELS_NOT_LOADED, label: 'Models not loaded', description: 'Health reports no models; /detect returns 503' },
+  { value: MockScenario.UNCERTAIN, label: 'Uncertain results', description: 'Every prediction lands in the uncertainty range' },
+];
+
+const SUPPORTED_FORMATS = {
+  audio: ['.wav', '.mp3', '.flac', '.m4a', '.ogg'],
+  image: ['.jpg', '.jpeg', '.png', '.bmp', '.webp'],
+  max_image_dimension: 1024,
+};
+
+const IMAGE_RESOLUTIONS = ['1920x1080', '1280x720', '1024x1024', '4032x3024', '800x600'];
+const MOCK_JOB_POLLS = 2; // Status checks before a mock job completes
+
+const jobs = new Map();
+let nextJobNumber = 1; // Batch items submitted in the same millisecond still get distinct ids
+let nextTokenNumber = 1;
+
+// FNV-1a hash so the same file always gets the same verdict
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new axios.CanceledError());
+      return;
+    }
+    const handleAbort = () => {
+      clearTimeout(timer);
+      reject(new axios.CanceledError());
+    };
+    // Batch signals outlive many requests, so do not leave a listener behind
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', handleAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', handleAbort, { once: true });
+  });
+}
+
+function getFileType(file) {
+  const extension = '.' + (file.name || '').split('.').pop().toLowerCase();
+  if (file.type?.startsWith('audio/') || SUPPORTED_FORMATS.audio.includes(extension)) return FileType.AUDIO;
+  if (file.type?.startsWith('image/') || SUPPORTED_FORMATS.image.includes(extension)) return FileType.IMAGE;
+  return FileType.UNKNOWN;
+}
+
+function classify(fakeProbability, threshold, uncertaintyRange) {
+  if (Math.abs(fakeProbability - threshold) < uncertaintyRange / 2) return DetectionResult.UNCERTAIN;
+  return fakeProbability >= threshold ? DetectionResult.FAKE : DetectionResult.REAL;
+}
+
+function buildAudioMetadata(file, seed, fakeProbability, params) {
+  const flip = params.get('flip_output_interpretation') === 'true';
+  const threshold = Number(params.get('threshold') || 0.5);
+  const uncertaintyRange = Number(params.get('uncertainty_range') || 0.1);
+  const sigmoid = flip ? 1 - fakeProbability : fakeProbability;
+  const sampleRate = [16000, 44100, 48000][seed % 3];
+
+  return {
+    threshold,
+    uncertainty_range: uncertaintyRange,
+    classification: classify(fakeProbability, threshold, uncertaintyRange),
+    metadata: {
+      model_architecture: 'RawNetLite',
+      device: 'cpu',
+      backend: 'pytorch (mock)',
+      raw_logit: Math.log(sigmoid / (1 - sigmoid)),
+      sigmoid_output: sigmoid,
+      prob_fake: fakeProbability,
+      prob_real: 1 - fakeProbability,
+      threshold,
+      interpretation_flipped: flip,
+      is_uncertain: classify(fakeProbability, threshold, uncertaintyRange) === DetectionResult.UNCERTAIN,
+      uncertainty_bounds: [threshold - uncertaintyRange / 2, threshold + uncertaintyRange / 2],
+      // Assume ~128kbps for the duration estimate
+      original_duration_seconds: Math.max(1, (file.size * 8) / 128000),
+      original_sample_rate: sampleRate,
+      processed_sample_rate: 16000,
+      original_channels: seed % 2 === 0 ? 1 : 2,
+    },
+  };
+}
+
+function buildImageMetadata(file, seed, fakeProbability) {
+  const extension = (file.name || '').split('.').pop().toUpperCase();
+  const fakeLogit = Math.log(fakeProbability / (1 - fakeProbability)) / 2;
+
+  return {
+    threshold: 0.5,
+    uncertainty_range: 0.1,
+    classification: classify(fakeProbability, 0.5, 0.1),
+    metadata: {
+      model_architecture: 'EfficientNet-B0',
+      device: 'cpu',
+      backend: 'pytorch (mock)',
+      fake_probability: fakeProbability,
+      real_probability: 1 - fakeProbability,
+      original_resolution: IMAGE_RESOLUTIONS[seed % IMAGE_RESOLUTIONS.length],
+      input_resolution: '224x224',
+      format: extension === 'JPG' ? 'JPEG' : extension,
+      predicted_class: fakeProbability >= 0.5 ? 0 : 1,
+      raw_outputs: { fake_logit: fakeLogit, real_logit: -fakeLogit },
+    },
+  };
+}
+
+function buildDetection(file, params, scenario) {
+  const seed = hashString(`${file.name}:${file.size}`);
+  const fileType = getFileType(file);
+  let fakeProbability = 0.02 + ((seed % 1000) / 1000) * 0.96;
+  if (scenario === MockScenario.UNCERTAIN) {
+    fakeProbability = Number(params.get('threshold') || 0.5) + (((seed % 100) / 100) - 0.5) * 0.04;
+  }
+
+  const { classification, metadata } = fileType === FileType.AUDIO
+    ? buildAudioMetadata(file, seed, fakeProbability, params)
+    : buildImageMetadata(file, seed, fakeProbability);
+
+  return {
+    detection_result: classification,
+    confidence_score: classification === DetectionResult.FAKE ? fakeProbability : 1 - fakeProbability,
+    file_type: fileType,
+    processing_time_ms: 150 + (seed % 900),
+    file_hash: seed.toString(16).padStart(8, '0').repeat(8),
+    timestamp: new Date().toISOString(),
+    metadata,
+  };
+}
+
+function health(scenario) {
+  const loaded = scenario !== MockScenario.MODELS_NOT_LOADED;
+  return {
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    models_loaded: { audio: loaded, image: loaded, video: false },
+    mock: true,
+  };
+}
+
+// Error response forced by the scenario for detection requests, if any
+function getScenarioFailure(scenario) {
+  if (scenario === MockScenario.MODELS_NOT_LOADED) {
+    return [503, { error: 'Detection models are not loaded', details: health(scenario).models_loaded }];
+  }
+  if (scenario === MockScenario.SERVER_ERROR) {
+    return [500, { error: 'Internal server error (mock scenario)' }];
+  }
+  return null;
+}
+
+// Axios has already serialized JSON bodies by the time the adapter runs
+function readJsonBody(config) {
+  return typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+}
+
+function issueTokens() {
+  const id = `${Date.now().toString(36)}-${nextTokenNumber++}`;
+  return { access_token: `mock-access-${id}`, refresh_token: `mock-refresh-${id}`, token_type: 'bearer' };
+}
+
+// Play back upload progress so progress bars behave as with a real upload
+async function simulateUpload(config, file) {
+  const total = file?.size || 1;
+  for (const fraction of [0.25, 0.5, 0.75, 1]) {
+    await delay(80, config.signal);
+    config.onUploadProgress?.({ loaded: Math.round(total * fraction), total });
+  }
+}
+
+// Returns [status, data] for a request
+async function route(config, scenario) {
+  const url = new URL(config.url, 'http://mock.local');
+  const method = (config.method || 'get').toLowerCase();
+  const path = url.pathname;
+
+  if (method === 'get' && path === '/health') return [200, health(scenario)];
+  if (method === 'get' && path === '/') {
+    return [200, { name: 'DeepGuard API (mock)', version: 'mock', endpoints: ['/health', '/supported-formats', '/detect', '/detect/url', '/jobs', '/auth/login', '/auth/refresh'] }];
+  }
+  if (method === 'get' && path === '/supported-formats') return [200, SUPPORTED_FORMATS];
+
+  if (method === 'post' && path === '/auth/login') {
+    const body = readJsonBody(config);
+    if (!body?.username || !body?.password) return [401, { error: 'Invalid username or password' }];
+    return [200, issueTokens()];
+  }
+  if (method === 'post' && path === '/auth/refresh') {
+    const body = readJsonBody(config);
+    if (!body?.refresh_token?.startsWith('mock-refresh-')) return [401, { error: 'Invalid refresh token' }];
+    return [200, issueTokens()];
+  }
+
+  if (method === 'post' && (path === '/detect' || path === '/jobs')) {
+    const file = config.data?.get?.('file');
+    if (!file) return [422, { error: 'No file uploaded' }];
+
+    await simulateUpload(config, file);
+
+    if (getFileType(file) === FileType.UNKNOWN) {
+      return [415, { error: `Unsupported file format: ${file.name}`, details: SUPPORTED_FORMATS }];
+    }
+    const failure = getScenarioFailure(scenario);
+    if (failure) return failure;
+
+    const detection = buildDetection(file, url.searchParams, scenario);
+    if (path === '/jobs') {
+      const jobId = `mock-${Date.now().toString(36)}-${nextJobNumber++}`;
+      jobs.set(jobId, { polls: 0, result: detection });
+      return [202, { job_id: jobId, status: JobStatus.QUEUED }];
+    }
+
+    await delay(scenario === MockScenario.SLOW ? 8000 : 400, config.signal);
+    return [200, detection];
+  }
+
+  // The mock cannot download anything; the verdict is derived from the URL instead
+  if (method === 'post' && path === '/detect/url') {
+    const body = readJsonBody(config);
+    if (!body?.url) return [422, { error: 'No url provided' }];
+    const name = decodeURIComponent(new URL(body.url).pathname.split('/').pop() || 'remote-media');
+    const file = { name, size: hashString(body.url) % (5 * 1024 * 1024), type: '' };
+
+    if (getFileType(file) === FileType.UNKNOWN) {
+      return [415, { error: `Unsupported file format: ${name}`, details: SUPPORTED_FORMATS }];
+    }
+    const failure = getScenarioFailure(scenario);
+    if (failure) return failure;
+
+    await delay(scenario === MockScenario.SLOW ? 8000 : 600, config.signal);
+    return [200, buildDetection(file, url.searchParams, scenario)];
+  }
+
+  const jobMatch = path.match(/^\/jobs\/([^/]+)$/);
+  if (method === 'get' && jobMatch) {
+    const job = jobs.get(decodeURIComponent(jobMatch[1]));
+    if (!job) return [404, { error: 'Job not found' }];
+    job.polls += 1;
+    if (job.polls <= MOCK_JOB_POLLS) {
+      return [200, { job_id: jobMatch[1], status: job.polls === 1 ? JobStatus.QUEUED : JobStatus.PROCESSING }];
+    }
+    return [200, { job_id: jobMatch[1], status: JobStatus.COMPLETED, result: job.result }];
+  }
+
+  return [404, { error: `Mock backend does not implement ${method.toUpperCase()} ${path}` }];
+}
+
+// Axios adapter bound to a scenario getter, so the scenario can change at runtime
+export function createMockAdapter(getScenario) {
+  return async (config) => {
+    await delay(getScenario() === MockScenario.SLOW ? 1500 : 60, config.signal);
+    const [status, data] = await route(config, getScenario());
+    const response = {
+      data,
+      status,
+      statusText: status < 400 ? 'OK' : 'Mock Error',
+      headers: {},
+      config,
+      request: {},
+    };
+
+    if (config.validateStatus ? config.validateStatus(status) : status < 400) {
+      return response;
+    }
+    throw new axios.AxiosError(
+      `Request failed with status code ${status}`,
+      status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  };
+}
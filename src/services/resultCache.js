@@ -0,0 +1,49 @@
+import { createStore, get, set, del, clear } from 'idb-keyval';
+import logger from './logger';
+
+// Detection results stored in IndexedDB, keyed by file content hash and the
+// calibration config the result was produced with
+const store = createStore('deepguard', 'results');
+
+function getCacheKey(fileHash, config) {
+  if (!config) return fileHash;
+  return [
+    fileHash,
+    config.flip_output_interpretation ? 'flipped' : 'normal',
+    config.threshold,
+    config.uncertainty_range,
+  ].join(':');
+}
+
+export async function getCachedResult(fileHash, config) {
+  try {
+    return (await get(getCacheKey(fileHash, config), store)) || null;
+  } catch (error) {
+    logger.warn('Failed to read cached result:', error);
+    return null;
+  }
+}
+
+export async function setCachedResult(fileHash, config, result, fileName) {
+  try {
+    await set(getCacheKey(fileHash, config), {
+      result,
+      file_name: fileName,
+      cached_at: new Date().toISOString(),
+    }, store);
+  } catch (error) {
+    logger.warn('Failed to cache result:', error);
+  }
+}
+
+export async function removeCachedResult(fileHash, config) {
+  try {
+    await del(getCacheKey(fileHash, config), store);
+  } catch (error) {
+    logger.warn('Failed to remove cached result:', error);
+  }
+}
+
+export async function clearResultCache() {
+  await clear(store);
+}
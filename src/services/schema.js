@@ -0,0 +1,183 @@
+import { DetectionResult, FileType } from '../types/api';
+import { InvalidResponseError } from './errors';
+
+// Runtime validation and normalization of backend responses. Each normalizer
+// returns one canonical shape and lists anything it had to guess or fill in
+// under `warnings`, so the UI can flag a degraded result instead of crashing.
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toNumber(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+}
+
+// Accepts 0-1 or 0-100 and returns 0-1
+function toProbability(value) {
+  const number = toNumber(value);
+  if (number === null) return null;
+  const probability = number > 1 && number <= 100 ? number / 100 : number;
+  return Math.min(1, Math.max(0, probability));
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 1) return true;
+  if (value === 'false' || value === 0) return false;
+  return null;
+}
+
+// Audio reports prob_fake/prob_real, images fake_probability/real_probability
+function extractProbabilities(metadata) {
+  const pairs = [
+    ['prob_fake', 'prob_real'],
+    ['fake_probability', 'real_probability'],
+  ];
+  for (const [fakeKey, realKey] of pairs) {
+    const fake = toProbability(metadata[fakeKey]);
+    const real = toProbability(metadata[realKey]);
+    if (fake !== null || real !== null) {
+      return {
+        fake: fake !== null ? fake : 1 - real,
+        real: real !== null ? real : 1 - fake,
+      };
+    }
+  }
+  return null;
+}
+
+export function normalizeDetectionResult(raw) {
+  if (!isObject(raw)) {
+    throw new InvalidResponseError('The backend returned an unreadable detection result.', { details: raw });
+  }
+
+  const warnings = [];
+  const metadata = isObject(raw.metadata) ? raw.metadata : {};
+  if (!isObject(raw.metadata)) {
+    warnings.push('Model metadata is missing; technical details are unavailable.');
+  }
+
+  let probabilities = extractProbabilities(metadata);
+
+  let detectionResult = typeof raw.detection_result === 'string' ? raw.detection_result.toLowerCase() : null;
+  if (!Object.values(DetectionResult).includes(detectionResult)) {
+    if (probabilities) {
+      detectionResult = probabilities.fake >= 0.5 ? DetectionResult.FAKE : DetectionResult.REAL;
+      warnings.push('Verdict was missing and has been derived from the model probabilities.');
+    } else {
+      throw new InvalidResponseError('The backend response does not contain a verdict.', { details: raw });
+    }
+  }
+
+  let confidenceScore = toProbability(raw.confidence_score);
+  if (confidenceScore === null) {
+    confidenceScore = probabilities ? Math.max(probabilities.fake, probabilities.real) : 0;
+    warnings.push('Confidence score was missing.');
+  }
+
+  if (!probabilities) {
+    // Best effort from the verdict and confidence; uncertain results stay unknown
+    if (detectionResult !== DetectionResult.UNCERTAIN) {
+      const real = detectionResult === DetectionResult.REAL ? confidenceScore : 1 - confidenceScore;
+      probabilities = { real, fake: 1 - real, estimated: true };
+    }
+    warnings.push('Per-class probabilities were missing.');
+  }
+
+  let fileType = typeof raw.file_type === 'string' ? raw.file_type.toLowerCase() : FileType.UNKNOWN;
+  if (!Object.values(FileType).includes(fileType)) {
+    warnings.push(`Unknown file type "${raw.file_type}".`);
+    fileType = FileType.UNKNOWN;
+  }
+
+  const processingTime = toNumber(raw.processing_time_ms);
+  if (processingTime === null) {
+    warnings.push('Processing time was not reported.');
+  }
+
+  const fileHash = typeof raw.file_hash === 'string' && raw.file_hash ? raw.file_hash : null;
+  if (!fileHash) {
+    warnings.push('File hash was not reported.');
+  }
+
+  const timestamp = raw.timestamp && !Number.isNaN(Date.parse(raw.timestamp))
+    ? raw.timestamp
+    : new Date().toISOString();
+
+  return {
+    ...raw,
+    detection_result: detectionResult,
+    confidence_score: confidenceScore,
+    file_type: fileType,
+    processing_time_ms: processingTime,
+    file_hash: fileHash,
+    timestamp,
+    probabilities,
+    metadata,
+    // Warnings from an earlier normalization (e.g. cached results) are kept
+    warnings: Array.from(new Set([...(raw.warnings || []), ...warnings])),
+  };
+}
+
+export function normalizeHealth(raw) {
+  if (!isObject(raw)) {
+    throw new InvalidResponseError('The backend returned an unreadable health response.', { details: raw });
+  }
+
+  const warnings = [];
+  const models = isObject(raw.models_loaded) ? raw.models_loaded : {};
+  if (!isObject(raw.models_loaded)) {
+    warnings.push('Model status was not reported.');
+  }
+
+  const status = typeof raw.status === 'string' ? raw.status.toLowerCase() : 'unknown';
+  if (status === 'unknown') {
+    warnings.push('Health status was not reported.');
+  }
+
+  return {
+    ...raw,
+    status,
+    models_loaded: {
+      audio: toBoolean(models.audio) === true,
+      image: toBoolean(models.image) === true,
+      video: toBoolean(models.video) === true,
+    },
+    warnings,
+  };
+}
+
+// Extensions are lower-cased and always start with a dot
+function normalizeExtensions(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(ext => typeof ext === 'string' && ext.trim())
+    .map(ext => ext.trim().toLowerCase())
+    .map(ext => (ext.startsWith('.') ? ext : `.${ext}`));
+}
+
+export function normalizeSupportedFormats(raw) {
+  if (!isObject(raw)) {
+    throw new InvalidResponseError('The backend returned an unreadable list of supported formats.', { details: raw });
+  }
+
+  const warnings = [];
+  ['audio', 'image'].forEach(kind => {
+    if (!Array.isArray(raw[kind])) {
+      warnings.push(`No ${kind} formats were reported.`);
+    }
+  });
+
+  return {
+    ...raw,
+    audio: normalizeExtensions(raw.audio),
+    image: normalizeExtensions(raw.image),
+    video: normalizeExtensions(raw.video),
+    // Largest image side the backend needs, advertised for client-side downscaling
+    max_image_dimension: toNumber(raw.max_image_dimension),
+    warnings,
+  };
+}
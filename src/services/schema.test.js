@@ -0,0 +1,89 @@
+import { normalizeDetectionResult, normalizeSupportedFormats } from './schema';
+import { InvalidResponseError } from './errors';
+import { DetectionResult, FileType } from '../types/api';
+
+const complete = {
+  detection_result: 'fake',
+  confidence_score: 0.9,
+  file_type: 'audio',
+  processing_time_ms: 120,
+  file_hash: 'abc123',
+  timestamp: '2025-01-01T00:00:00Z',
+  metadata: { prob_fake: 0.9, prob_real: 0.1 },
+};
+
+describe('normalizeDetectionResult', () => {
+  it('passes a complete result through without warnings', () => {
+    const result = normalizeDetectionResult(complete);
+    expect(result.detection_result).toBe(DetectionResult.FAKE);
+    expect(result.probabilities).toEqual({ fake: 0.9, real: 0.1 });
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('reads probabilities given as percentages', () => {
+    const result = normalizeDetectionResult({
+      ...complete,
+      confidence_score: 85,
+      metadata: { fake_probability: 85, real_probability: '15' },
+    });
+    expect(result.confidence_score).toBeCloseTo(0.85);
+    expect(result.probabilities.fake).toBeCloseTo(0.85);
+    expect(result.probabilities.real).toBeCloseTo(0.15);
+  });
+
+  it('derives a missing real probability from the fake one', () => {
+    const result = normalizeDetectionResult({ ...complete, metadata: { prob_fake: 0.3 } });
+    expect(result.probabilities.fake).toBeCloseTo(0.3);
+    expect(result.probabilities.real).toBeCloseTo(0.7);
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('estimates probabilities from the verdict and confidence, with a warning', () => {
+    const result = normalizeDetectionResult({ ...complete, detection_result: 'REAL', metadata: {} });
+    expect(result.detection_result).toBe(DetectionResult.REAL);
+    expect(result.probabilities).toEqual({ real: 0.9, fake: expect.closeTo(0.1), estimated: true });
+    expect(result.warnings).toContain('Per-class probabilities were missing.');
+  });
+
+  it('derives a missing verdict from the probabilities, with a warning', () => {
+    const result = normalizeDetectionResult({ ...complete, detection_result: undefined });
+    expect(result.detection_result).toBe(DetectionResult.FAKE);
+    expect(result.warnings).toContain('Verdict was missing and has been derived from the model probabilities.');
+  });
+
+  it('warns about each missing field', () => {
+    const result = normalizeDetectionResult({ detection_result: 'uncertain', file_type: 'hologram' });
+    expect(result.file_type).toBe(FileType.UNKNOWN);
+    expect(result.probabilities).toBeNull();
+    expect(result.warnings).toEqual([
+      'Model metadata is missing; technical details are unavailable.',
+      'Confidence score was missing.',
+      'Per-class probabilities were missing.',
+      'Unknown file type "hologram".',
+      'Processing time was not reported.',
+      'File hash was not reported.',
+    ]);
+  });
+
+  it('keeps warnings from an earlier normalization without repeating them', () => {
+    const once = normalizeDetectionResult({ ...complete, file_hash: '' });
+    const twice = normalizeDetectionResult(once);
+    expect(twice.warnings).toEqual(['File hash was not reported.']);
+  });
+
+  it('rejects results without a verdict or probabilities', () => {
+    expect(() => normalizeDetectionResult({ ...complete, detection_result: null, metadata: {} }))
+      .toThrow(InvalidResponseError);
+    expect(() => normalizeDetectionResult('fake')).toThrow(InvalidResponseError);
+  });
+});
+
+describe('normalizeSupportedFormats', () => {
+  it('lower-cases extensions and adds the leading dot', () => {
+    const formats = normalizeSupportedFormats({ audio: ['WAV', '.mp3'], image: ['png', ' '] });
+    expect(formats.audio).toEqual(['.wav', '.mp3']);
+    expect(formats.image).toEqual(['.png']);
+    expect(formats.video).toEqual([]);
+    expect(formats.warnings).toEqual([]);
+  });
+});
@@ -13,6 +13,22 @@ export const DetectionResult = {
   UNCERTAIN: 'uncertain'
 };
 
+export const JobStatus = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Lifecycle of one file in the batch queue
+export const BatchItemStatus = {
+  QUEUED: 'queued',
+  ANALYZING: 'analyzing',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
 // Default audio calibration configuration
 export const defaultAudioConfig = {
   flip_output_interpretation: false,
@@ -0,0 +1,227 @@
+// Client-side audio helpers: decoding browser recordings and encoding WAV,
+// the format every backend audio model accepts
+
+export function getAudioContextClass() {
+  return window.AudioContext || window.webkitAudioContext;
+}
+
+// Decode any audio Blob the browser can play into an AudioBuffer
+export async function decodeAudio(blob) {
+  const AudioContextClass = getAudioContextClass();
+  const context = new AudioContextClass();
+  try {
+    return await context.decodeAudioData(await blob.arrayBuffer());
+  } finally {
+    context.close();
+  }
+}
+
+function writeString(view, offset, value) {
+  for (let i = 0; i < value.length; i++) {
+    view.setUint8(offset + i, value.charCodeAt(i));
+  }
+}
+
+// 16-bit PCM WAV with the buffer's sample rate and channel count
+export function encodeWav(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const bytesPerSample = 2;
+  const dataSize = length * numberOfChannels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numberOfChannels * bytesPerSample, true);
+  view.setUint16(32, numberOfChannels * bytesPerSample, true);
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channels = Array.from({ length: numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+// Root-mean-square level of a block of samples, 0-1
+export function getRms(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return samples.length ? Math.sqrt(sum / samples.length) : 0;
+}
+
+export function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60);
+  return `${minutes}:${rest.toString().padStart(2, '0')}`;
+}
+
+// Min/max envelope of the mixed-down signal in `buckets` columns, for waveform drawing
+export function computePeaks(audioBuffer, buckets) {
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+  const samplesPerBucket = Math.max(1, Math.floor(audioBuffer.length / buckets));
+  const peaks = [];
+
+  for (let bucket = 0; bucket < buckets; bucket++) {
+    const start = bucket * samplesPerBucket;
+    const end = Math.min(audioBuffer.length, start + samplesPerBucket);
+    let min = 0;
+    let max = 0;
+    for (let i = start; i < end; i++) {
+      let sample = 0;
+      for (let channel = 0; channel < channels.length; channel++) {
+        sample += channels[channel][i];
+      }
+      sample /= channels.length;
+      if (sample < min) min = sample;
+      if (sample > max) max = sample;
+    }
+    peaks.push({ min, max });
+  }
+  return peaks;
+}
+
+const MPEG_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000], // MPEG-2.5
+};
+
+function readMp3SampleRate(bytes) {
+  let offset = 0;
+  // Skip an ID3v2 tag; its size is stored as a 28-bit "syncsafe" integer
+  if (bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33) {
+    offset = 10 + ((bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9]);
+  }
+  for (let i = offset; i < bytes.length - 3; i++) {
+    if (bytes[i] === 0xff && (bytes[i + 1] & 0xe0) === 0xe0) {
+      const version = (bytes[i + 1] >> 3) & 0x03;
+      const rateIndex = (bytes[i + 2] >> 2) & 0x03;
+      if (MPEG_SAMPLE_RATES[version] && rateIndex < 3) {
+        return MPEG_SAMPLE_RATES[version][rateIndex];
+      }
+    }
+  }
+  return null;
+}
+
+function readWavSampleRate(view) {
+  // Walk the RIFF chunks to the 'fmt ' chunk
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+    const size = view.getUint32(offset + 4, true);
+    if (id === 'fmt ' && offset + 16 <= view.byteLength) {
+      return view.getUint32(offset + 12, true);
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+// The file's own sample rate, read from its header. decodeAudioData resamples
+// to the AudioContext rate, so the decoded buffer cannot tell us this.
+// Resolves with null for containers we do not parse (e.g. M4A).
+export async function readAudioSampleRate(file) {
+  const header = new Uint8Array(await file.slice(0, 64 * 1024).arrayBuffer());
+  const view = new DataView(header.buffer);
+  const tag = String.fromCharCode(...header.slice(0, 4));
+
+  if (tag === 'RIFF') return readWavSampleRate(view);
+  if (tag === 'fLaC' && header.length >= 21) {
+    // 20-bit rate in the STREAMINFO block that follows the 4-byte block header
+    return (header[18] << 12) | (header[19] << 4) | (header[20] >> 4);
+  }
+  if (tag === 'OggS') {
+    // The first packet follows the segment table. Vorbis: type, "vorbis",
+    // version (4), channels (1), rate. Opus: "OpusHead", version, channels,
+    // pre-skip (2), input rate.
+    const packet = 27 + header[26];
+    const codec = String.fromCharCode(...header.slice(packet, packet + 8));
+    if (codec.startsWith('\x01vorbis')) return view.getUint32(packet + 11, true);
+    if (codec === 'OpusHead') return view.getUint32(packet + 12, true);
+    return null;
+  }
+  if (file.size > 10 && header[0] === 0x49 && header[1] === 0x44 && header[2] === 0x33) {
+    const tagSize = 10 + ((header[6] << 21) | (header[7] << 14) | (header[8] << 7) | header[9]);
+    if (tagSize + 4 > header.length) {
+      // Large embedded cover art; read just past the tag
+      const frame = new Uint8Array(await file.slice(tagSize, tagSize + 4096).arrayBuffer());
+      return readMp3SampleRate(frame);
+    }
+  }
+  return readMp3SampleRate(header);
+}
+
+// Offset with tenths of a second, e.g. "1:05.3"
+export function formatOffset(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds % 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${rest}`;
+}
+
+// Sorted copy of [{ start, end }] regions with overlapping ones merged
+export function mergeRegions(regions) {
+  const sorted = [...regions].sort((a, b) => a.start - b.start);
+  return sorted.reduce((merged, region) => {
+    const last = merged[merged.length - 1];
+    if (last && region.start <= last.end) {
+      last.end = Math.max(last.end, region.end);
+    } else {
+      merged.push({ ...region });
+    }
+    return merged;
+  }, []);
+}
+
+// New buffer holding the given regions (in seconds) back to back
+export function extractRegions(audioBuffer, regions) {
+  const { sampleRate, numberOfChannels } = audioBuffer;
+  const spans = regions.map(({ start, end }) => [
+    Math.max(0, Math.floor(start * sampleRate)),
+    Math.min(audioBuffer.length, Math.ceil(end * sampleRate)),
+  ]);
+  const length = spans.reduce((total, [from, to]) => total + (to - from), 0);
+  const output = new AudioBuffer({ length, numberOfChannels, sampleRate });
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const source = audioBuffer.getChannelData(channel);
+    const target = output.getChannelData(channel);
+    let offset = 0;
+    spans.forEach(([from, to]) => {
+      target.set(source.subarray(from, to), offset);
+      offset += to - from;
+    });
+  }
+  return output;
+}
+
+// Mix down and resample to `sampleRate`, e.g. to the 16 kHz mono the audio
+// model works on, which keeps uploads of many short clips small
+export async function resampleAudio(audioBuffer, sampleRate, numberOfChannels = 1) {
+  const context = new OfflineAudioContext({
+    numberOfChannels,
+    length: Math.ceil(audioBuffer.duration * sampleRate),
+    sampleRate,
+  });
+  const source = context.createBufferSource();
+  source.buffer = audioBuffer;
+  source.connect(context.destination);
+  source.start();
+  return context.startRendering();
+}
@@ -0,0 +1,161 @@
+// Signal checks run in the browser before audio is uploaded. RawNetLite
+// verdicts are unreliable on silence, clipped or very noisy input, so these
+// figures are shown next to the verdict. Levels are in dBFS (0 = full scale).
+
+import { mergeRegions } from './audio';
+
+const FRAME_SECONDS = 0.02;
+const LEVEL_FLOOR_DB = -100; // Digital silence is reported as this instead of -Infinity
+const SILENCE_DBFS = -50;
+const CLIP_LEVEL = 0.999;
+
+// Speech detection: frames loud enough above the noise floor, with short
+// pauses bridged and a little padding so word edges are not cut off
+const SPEECH_MARGIN_DB = 10;
+const SPEECH_RANGE_DB = 25;
+const MAX_SPEECH_GAP_SECONDS = 0.3;
+const MIN_SPEECH_SECONDS = 0.3;
+const SPEECH_PADDING_SECONDS = 0.15;
+
+// Limits past which a clip is flagged as low quality
+const MAX_SILENCE_RATIO = 0.7;
+const MAX_CLIPPING_RATIO = 0.001;
+const MIN_RMS_DBFS = -40;
+const MIN_SNR_DB = 10;
+
+export const defaultAudioQuality = {
+  autoSelectSpeech: false, // Preselect speech regions when previewing audio
+};
+
+function toDb(amplitude) {
+  return Math.max(LEVEL_FLOOR_DB, 20 * Math.log10(amplitude));
+}
+
+function mixToMono(audioBuffer) {
+  if (audioBuffer.numberOfChannels === 1) return audioBuffer.getChannelData(0);
+  const mono = new Float32Array(audioBuffer.length);
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      mono[i] += data[i] / audioBuffer.numberOfChannels;
+    }
+  }
+  return mono;
+}
+
+// RMS level of each FRAME_SECONDS frame, in dBFS
+function getFrameLevels(samples, sampleRate) {
+  const frameLength = Math.max(1, Math.round(FRAME_SECONDS * sampleRate));
+  const levels = new Float32Array(Math.max(1, Math.floor(samples.length / frameLength)));
+  for (let frame = 0; frame < levels.length; frame++) {
+    let sum = 0;
+    const offset = frame * frameLength;
+    const end = Math.min(samples.length, offset + frameLength);
+    for (let i = offset; i < end; i++) {
+      sum += samples[i] * samples[i];
+    }
+    levels[frame] = toDb(Math.sqrt(sum / Math.max(1, end - offset)));
+  }
+  return levels;
+}
+
+function percentile(values, fraction) {
+  const sorted = Float32Array.from(values).sort();
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+// Quiet and loud ends of the level distribution: the quietest frames are
+// taken as background noise, the loudest as the wanted signal
+function getLevelSpread(levels) {
+  return { noiseFloor: percentile(levels, 0.1), signalLevel: percentile(levels, 0.9) };
+}
+
+function findSpeechRegions(levels, duration) {
+  const { noiseFloor, signalLevel } = getLevelSpread(levels);
+  // Above the noise floor, but never so high that quieter syllables of
+  // continuous speech (which has no pauses to measure the floor in) drop out
+  const threshold = Math.max(SILENCE_DBFS, Math.min(noiseFloor + SPEECH_MARGIN_DB, signalLevel - SPEECH_RANGE_DB));
+
+  const runs = [];
+  let runStart = null;
+  for (let frame = 0; frame <= levels.length; frame++) {
+    const active = frame < levels.length && levels[frame] >= threshold;
+    if (active && runStart === null) {
+      runStart = frame;
+    } else if (!active && runStart !== null) {
+      const start = runStart * FRAME_SECONDS;
+      const end = frame * FRAME_SECONDS;
+      const previous = runs[runs.length - 1];
+      if (previous && start - previous.end <= MAX_SPEECH_GAP_SECONDS) {
+        previous.end = end;
+      } else {
+        runs.push({ start, end });
+      }
+      runStart = null;
+    }
+  }
+
+  return mergeRegions(runs
+    .filter(run => run.end - run.start >= MIN_SPEECH_SECONDS)
+    .map(run => ({
+      start: Math.max(0, run.start - SPEECH_PADDING_SECONDS),
+      end: Math.min(duration, run.end + SPEECH_PADDING_SECONDS),
+    })));
+}
+
+// Speech-active stretches of the audio as [{ start, end }] in seconds,
+// suitable as analysis regions (see extractRegions)
+export function detectSpeechRegions(audioBuffer) {
+  const levels = getFrameLevels(mixToMono(audioBuffer), audioBuffer.sampleRate);
+  return findSpeechRegions(levels, audioBuffer.duration);
+}
+
+function getQualityIssues(metrics) {
+  const issues = [];
+  if (metrics.silence_ratio > MAX_SILENCE_RATIO) issues.push('Mostly silence');
+  if (metrics.clipping_ratio >= MAX_CLIPPING_RATIO) issues.push('Clipping');
+  if (metrics.rms_dbfs < MIN_RMS_DBFS) issues.push('Very quiet');
+  if (metrics.snr_db !== null && metrics.snr_db < MIN_SNR_DB) issues.push('Noisy');
+  return issues;
+}
+
+// Silence ratio, clipping, RMS and peak level and a rough SNR (loud frames
+// against quiet ones, null for silent clips), plus the share of detected
+// speech. `issues` names what makes the clip low quality; it is empty for a
+// usable clip.
+export function analyzeAudioQuality(audioBuffer) {
+  let clipped = 0;
+  let peak = 0;
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      const amplitude = Math.abs(data[i]);
+      if (amplitude >= CLIP_LEVEL) clipped++;
+      if (amplitude > peak) peak = amplitude;
+    }
+  }
+
+  const samples = mixToMono(audioBuffer);
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+
+  const levels = getFrameLevels(samples, audioBuffer.sampleRate);
+  const { noiseFloor, signalLevel } = getLevelSpread(levels);
+  const silentFrames = levels.filter(level => level < SILENCE_DBFS).length;
+  const speechSeconds = findSpeechRegions(levels, audioBuffer.duration)
+    .reduce((total, region) => total + region.end - region.start, 0);
+
+  const metrics = {
+    rms_dbfs: toDb(Math.sqrt(sum / Math.max(1, samples.length))),
+    peak_dbfs: toDb(peak),
+    clipping_ratio: clipped / Math.max(1, audioBuffer.length * audioBuffer.numberOfChannels),
+    silence_ratio: silentFrames / levels.length,
+    // Without any signal there is nothing to compare the noise with
+    snr_db: signalLevel >= SILENCE_DBFS ? signalLevel - noiseFloor : null,
+    speech_ratio: audioBuffer.duration > 0 ? speechSeconds / audioBuffer.duration : 0,
+  };
+  const issues = getQualityIssues(metrics);
+  return { ...metrics, issues, is_low_quality: issues.length > 0 };
+}
@@ -0,0 +1,123 @@
+// Long-audio segmentation: RawNetLite scores 3-second windows, so long
+// recordings are cut into overlapping windows that are analyzed one by one.
+// A per-window timeline shows where synthetic speech is, which a single
+// verdict for a spliced call would hide.
+
+import { DetectionResult } from '../types/api';
+
+export const SEGMENT_SECONDS = 3;
+export const MIN_SEGMENTED_SECONDS = 10; // Shorter audio is sent whole
+
+export const AggregationStrategy = {
+  MEAN: 'mean',
+  MAX: 'max',
+  SHARE: 'share',
+};
+
+export const AGGREGATION_STRATEGIES = [
+  { value: AggregationStrategy.SHARE, label: 'Share of windows', description: 'Fake once enough windows are above the threshold; suits spliced calls' },
+  { value: AggregationStrategy.MAX, label: 'Most suspicious window', description: 'Any window above the threshold makes the audio fake' },
+  { value: AggregationStrategy.MEAN, label: 'Mean probability', description: 'Average over all windows; a short fake passage is diluted' },
+];
+
+export const defaultAudioSegmentation = {
+  enabled: false, // Opt-in: a 5-minute file becomes about 200 requests
+  overlap: 0.5, // Fraction of each window shared with the next one
+  strategy: AggregationStrategy.SHARE,
+  minFakeShare: 0.1, // For SHARE: fraction of windows above the threshold that makes the audio fake
+};
+
+// [{ index, start, end }] windows of SEGMENT_SECONDS covering `duration`; the
+// last window is moved back so it ends with the audio instead of running short
+export function getSegmentWindows(duration, { overlap }) {
+  if (duration <= SEGMENT_SECONDS) {
+    return [{ index: 0, start: 0, end: duration }];
+  }
+  const hop = SEGMENT_SECONDS * (1 - overlap);
+  const windows = [];
+  for (let start = 0; start + SEGMENT_SECONDS < duration; start += hop) {
+    windows.push({ index: windows.length, start, end: start + SEGMENT_SECONDS });
+  }
+  windows.push({ index: windows.length, start: duration - SEGMENT_SECONDS, end: duration });
+  return windows;
+}
+
+function average(values) {
+  return values.length ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+}
+
+// The calibration's uncertainty_range is in probability space; a share of
+// windows gets its own band, this fraction of `minFakeShare` wide
+const SHARE_UNCERTAINTY_FRACTION = 0.5;
+
+function getBounds(cutoff, range) {
+  return [Math.max(0, cutoff - range / 2), Math.min(1, cutoff + range / 2)];
+}
+
+function classify(value, cutoff, range) {
+  if (Math.abs(value - cutoff) < range / 2) return DetectionResult.UNCERTAIN;
+  return value >= cutoff ? DetectionResult.FAKE : DetectionResult.REAL;
+}
+
+// Overall verdict from per-window fake probabilities:
+// MEAN - average probability against the threshold; robust, but dilutes a short fake passage
+// MAX - the most suspicious window decides; catches splices, but also single false alarms
+// SHARE - fake once `minFakeShare` of the windows are above the threshold
+// `fake_probability` is the figure the verdict rests on; for SHARE, the mean
+// of the windows on the winning side of the threshold. Without segments the
+// verdict is uncertain and there are no figures.
+export function aggregateSegments(segments, { strategy, minFakeShare, threshold, uncertaintyRange }) {
+  if (!segments.length) {
+    return {
+      strategy,
+      detection_result: DetectionResult.UNCERTAIN,
+      fake_probability: null,
+      mean_fake_probability: null,
+      max_fake_probability: null,
+      fake_segment_share: 0,
+      uncertainty_bounds: null,
+    };
+  }
+
+  const probabilities = segments.map(segment => segment.fake_probability);
+  const flagged = probabilities.filter(probability => probability >= threshold);
+  const fakeShare = flagged.length / probabilities.length;
+  const mean = average(probabilities);
+  const max = Math.max(...probabilities);
+
+  let fakeProbability;
+  let detectionResult;
+  let uncertaintyBounds;
+  if (strategy === AggregationStrategy.SHARE) {
+    const isFake = fakeShare >= minFakeShare;
+    fakeProbability = isFake ? average(flagged) : average(probabilities.filter(probability => probability < threshold));
+    const shareRange = minFakeShare * SHARE_UNCERTAINTY_FRACTION;
+    detectionResult = classify(fakeShare, minFakeShare, shareRange);
+    uncertaintyBounds = getBounds(minFakeShare, shareRange);
+  } else {
+    fakeProbability = strategy === AggregationStrategy.MAX ? max : mean;
+    detectionResult = classify(fakeProbability, threshold, uncertaintyRange);
+    uncertaintyBounds = getBounds(threshold, uncertaintyRange);
+  }
+
+  return {
+    strategy,
+    detection_result: detectionResult,
+    fake_probability: fakeProbability,
+    mean_fake_probability: mean,
+    max_fake_probability: max,
+    fake_segment_share: fakeShare,
+    uncertainty_bounds: uncertaintyBounds,
+  };
+}
+
+// Non-overlapping [{ start, end, segment }] spans for drawing overlapping
+// windows side by side: each window owns the time closest to its center
+export function getSegmentSpans(segments) {
+  const centers = segments.map(segment => (segment.start + segment.end) / 2);
+  return segments.map((segment, i) => ({
+    start: i === 0 ? segment.start : (centers[i - 1] + centers[i]) / 2,
+    end: i === segments.length - 1 ? segment.end : (centers[i] + centers[i + 1]) / 2,
+    segment,
+  }));
+}
@@ -0,0 +1,82 @@
+import { aggregateSegments, AggregationStrategy, getSegmentWindows, SEGMENT_SECONDS } from './audioSegments';
+import { DetectionResult } from '../types/api';
+
+const calibration = { threshold: 0.5, uncertaintyRange: 0.1, minFakeShare: 0.1 };
+const segmentsOf = probabilities => probabilities.map((fake_probability, index) => ({ index, fake_probability }));
+// `fakeCount` of `total` windows well above the threshold, the rest well below
+const splice = (fakeCount, total) => segmentsOf(Array.from({ length: total }, (_, i) => (i < fakeCount ? 0.9 : 0.1)));
+
+describe('getSegmentWindows', () => {
+  it('uses a single window for audio no longer than one', () => {
+    expect(getSegmentWindows(2.5, { overlap: 0.5 })).toEqual([{ index: 0, start: 0, end: 2.5 }]);
+  });
+
+  it('moves a partial last window back so it ends with the audio', () => {
+    expect(getSegmentWindows(7, { overlap: 0.5 })).toEqual([
+      { index: 0, start: 0, end: 3 },
+      { index: 1, start: 1.5, end: 4.5 },
+      { index: 2, start: 3, end: 6 },
+      { index: 3, start: 4, end: 7 },
+    ]);
+  });
+
+  it('does not repeat the last window when the windows fit exactly', () => {
+    expect(getSegmentWindows(6, { overlap: 0 })).toEqual([
+      { index: 0, start: 0, end: 3 },
+      { index: 1, start: 3, end: 6 },
+    ]);
+  });
+
+  it('only makes full-length windows', () => {
+    getSegmentWindows(61.3, { overlap: 0.5 }).forEach((segmentWindow) => {
+      expect(segmentWindow.end - segmentWindow.start).toBeCloseTo(SEGMENT_SECONDS);
+    });
+  });
+});
+
+describe('aggregateSegments', () => {
+  it('is uncertain without segments', () => {
+    const aggregate = aggregateSegments([], { ...calibration, strategy: AggregationStrategy.SHARE });
+    expect(aggregate.detection_result).toBe(DetectionResult.UNCERTAIN);
+    expect(aggregate.fake_probability).toBeNull();
+    expect(aggregate.fake_segment_share).toBe(0);
+  });
+
+  describe('SHARE', () => {
+    const options = { ...calibration, strategy: AggregationStrategy.SHARE };
+
+    it('puts its uncertainty band around minFakeShare', () => {
+      const aggregate = aggregateSegments(splice(2, 20), options);
+      expect(aggregate.fake_segment_share).toBe(0.1);
+      expect(aggregate.detection_result).toBe(DetectionResult.UNCERTAIN);
+      expect(aggregate.uncertainty_bounds[0]).toBeCloseTo(0.075);
+      expect(aggregate.uncertainty_bounds[1]).toBeCloseTo(0.125);
+    });
+
+    it('is real below the band, with the probability of the windows below the threshold', () => {
+      const aggregate = aggregateSegments(splice(1, 20), options);
+      expect(aggregate.detection_result).toBe(DetectionResult.REAL);
+      expect(aggregate.fake_probability).toBeCloseTo(0.1);
+    });
+
+    it('is fake above the band, with the probability of the flagged windows', () => {
+      const aggregate = aggregateSegments(splice(3, 20), options);
+      expect(aggregate.detection_result).toBe(DetectionResult.FAKE);
+      expect(aggregate.fake_probability).toBeCloseTo(0.9);
+    });
+  });
+
+  it('dilutes a short fake passage with MEAN but not with MAX', () => {
+    const segments = splice(1, 10);
+    expect(aggregateSegments(segments, { ...calibration, strategy: AggregationStrategy.MEAN }).detection_result)
+      .toBe(DetectionResult.REAL);
+    expect(aggregateSegments(segments, { ...calibration, strategy: AggregationStrategy.MAX }).detection_result)
+      .toBe(DetectionResult.FAKE);
+  });
+
+  it('is uncertain when the figure is inside the calibration band', () => {
+    const aggregate = aggregateSegments(segmentsOf([0.52, 0.5, 0.48]), { ...calibration, strategy: AggregationStrategy.MEAN });
+    expect(aggregate.detection_result).toBe(DetectionResult.UNCERTAIN);
+    expect(aggregate.uncertainty_bounds).toEqual([0.45, 0.55]);
+  });
+});
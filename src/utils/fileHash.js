@@ -0,0 +1,18 @@
+// SHA-256 content hashing for local result lookups
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Returns the hex SHA-256 of a File/Blob, or null when Web Crypto is
+// unavailable (e.g. the app is served over plain HTTP from a non-localhost host)
+export async function computeFileHash(file) {
+  if (!window.crypto?.subtle) {
+    return null;
+  }
+  const buffer = await file.arrayBuffer();
+  const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+  return toHex(digest);
+}
@@ -0,0 +1,117 @@
+// Sorting dropped or picked files (including whole folders) into the ones the
+// backend can analyze and the ones skipped, with a reason for each skip
+
+import { VIDEO_EXTENSIONS } from './video';
+
+const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB, as enforced by the backend
+
+// Path of the file inside the dropped or picked folder, e.g. "case-42/audio/call.wav".
+// react-dropzone sets `path` ("/case-42/..." or "./call.wav"); a directory
+// <input> sets `webkitRelativePath`.
+export function getRelativePath(file) {
+  const path = file.path || file.webkitRelativePath || file.name;
+  return path.replace(/^\.?\//, '');
+}
+
+function getExtension(name) {
+  const index = name.lastIndexOf('.');
+  return index > 0 ? name.slice(index).toLowerCase() : '';
+}
+
+// Video extensions the backend accepts, plus those whose frames are sampled
+// client-side when the image model is available
+export function getVideoExtensions(formats) {
+  const clientVideo = formats?.image?.length > 0 ? VIDEO_EXTENSIONS : [];
+  return Array.from(new Set([...(formats?.video || []), ...clientVideo]));
+}
+
+// Every extension that can be analyzed
+export function getSupportedExtensions(formats) {
+  return [...(formats?.audio || []), ...(formats?.image || []), ...getVideoExtensions(formats)];
+}
+
+// Returns { accepted: File[], skipped: [{ path, reason }] }
+export function partitionFiles(files, formats) {
+  const supported = getSupportedExtensions(formats);
+  const accepted = [];
+  const skipped = [];
+
+  files.forEach(file => {
+    const path = getRelativePath(file);
+    const extension = getExtension(file.name);
+
+    if (file.name.startsWith('.')) {
+      skipped.push({ path, reason: 'Hidden or system file' });
+    } else if (!extension) {
+      skipped.push({ path, reason: 'No file extension' });
+    } else if (!supported.includes(extension)) {
+      skipped.push({ path, reason: `Unsupported format (${extension})` });
+    } else if (file.size === 0) {
+      skipped.push({ path, reason: 'Empty file' });
+    } else if (file.size > MAX_FILE_SIZE) {
+      skipped.push({ path, reason: 'Larger than 100MB' });
+    } else {
+      accepted.push(file);
+    }
+  });
+
+  return { accepted, skipped };
+}
+
+// Extensions for media whose name does not carry one (pasted blobs, URLs without a file name)
+const MIME_EXTENSIONS = {
+  'audio/wav': '.wav',
+  'audio/x-wav': '.wav',
+  'audio/wave': '.wav',
+  'audio/mpeg': '.mp3',
+  'audio/flac': '.flac',
+  'audio/ogg': '.ogg',
+  'audio/mp4': '.m4a',
+  'audio/x-m4a': '.m4a',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/bmp': '.bmp',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'video/quicktime': '.mov',
+};
+
+function getExtensionForMimeType(mimeType) {
+  return MIME_EXTENSIONS[(mimeType || '').split(';')[0].trim().toLowerCase()] || '';
+}
+
+// Best guess at the MIME type of a file name, e.g. for a URL the browser could not download
+export function getMimeTypeForName(name) {
+  const extension = getExtension(name || '');
+  const match = Object.entries(MIME_EXTENSIONS).find(([, ext]) => ext === extension);
+  return match ? match[0] : '';
+}
+
+// File name for media downloaded from a URL: the last path segment when it
+// has an extension, otherwise one derived from the response's content type
+export function getFileNameFromUrl(url, mimeType) {
+  let segment = '';
+  try {
+    segment = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+  } catch {
+    // Not a parseable URL; fall back to a generic name
+  }
+  if (getExtension(segment)) return segment;
+  return `${segment || 'remote-media'}${getExtensionForMimeType(mimeType)}`;
+}
+
+// Image or audio files on the clipboard, renamed so pasted items can be told apart
+export function getClipboardFiles(clipboardData) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return Array.from(clipboardData?.items || [])
+    .filter(item => item.kind === 'file' && /^(image|audio)\//.test(item.type))
+    .map(item => item.getAsFile())
+    .filter(Boolean)
+    .map((file, index) => {
+      const extension = getExtension(file.name) || getExtensionForMimeType(file.type);
+      const suffix = index > 0 ? `-${index + 1}` : '';
+      return new File([file], `pasted-${stamp}${suffix}${extension}`, { type: file.type });
+    });
+}
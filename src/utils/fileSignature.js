@@ -0,0 +1,65 @@
+// Content sniffing from a file's leading "magic" bytes, so a renamed or
+// disguised file is caught before it is uploaded
+
+const HEADER_LENGTH = 16;
+
+function ascii(bytes, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+function startsWith(bytes, values) {
+  return values.every((value, i) => bytes[i] === value);
+}
+
+// MPEG audio frame sync: 11 set bits, and a layer other than the reserved 00 used by AAC ADTS
+function isMpegFrame(bytes) {
+  return bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0 && (bytes[1] & 0x06) !== 0;
+}
+
+// ISO base media (MP4 family); M4A/M4B brands mark audio-only files. Older
+// QuickTime files start with another atom instead of 'ftyp'.
+function isIsoMedia(bytes) {
+  return ['ftyp', 'moov', 'mdat', 'wide', 'free'].some(atom => ascii(bytes, 4, atom));
+}
+
+function isM4a(bytes) {
+  return isIsoMedia(bytes) && (ascii(bytes, 8, 'M4A ') || ascii(bytes, 8, 'M4B '));
+}
+
+// Order matters: more specific signatures first
+const SIGNATURES = [
+  { format: 'WAV', label: 'a WAV audio file', kind: 'audio', extensions: ['.wav'], test: b => ascii(b, 0, 'RIFF') && ascii(b, 8, 'WAVE') },
+  { format: 'WebP', label: 'a WebP image', kind: 'image', extensions: ['.webp'], test: b => ascii(b, 0, 'RIFF') && ascii(b, 8, 'WEBP') },
+  { format: 'FLAC', label: 'a FLAC audio file', kind: 'audio', extensions: ['.flac'], test: b => ascii(b, 0, 'fLaC') },
+  { format: 'OGG', label: 'an Ogg audio file', kind: 'audio', extensions: ['.ogg', '.oga', '.opus'], test: b => ascii(b, 0, 'OggS') },
+  { format: 'MP3', label: 'an MP3 audio file', kind: 'audio', extensions: ['.mp3'], test: b => ascii(b, 0, 'ID3') || isMpegFrame(b) },
+  { format: 'M4A', label: 'an M4A audio file', kind: 'audio', extensions: ['.m4a', '.mp4'], test: isM4a },
+  { format: 'MP4', label: 'an MP4 video', kind: 'video', extensions: ['.mp4', '.m4v', '.mov', '.m4a'], test: isIsoMedia },
+  { format: 'AVI', label: 'an AVI video', kind: 'video', extensions: ['.avi'], test: b => ascii(b, 0, 'RIFF') && ascii(b, 8, 'AVI ') },
+  { format: 'WebM', label: 'a WebM/Matroska video', kind: 'video', extensions: ['.webm', '.mkv'], test: b => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+  { format: 'PNG', label: 'a PNG image', kind: 'image', extensions: ['.png'], test: b => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { format: 'JPEG', label: 'a JPEG image', kind: 'image', extensions: ['.jpg', '.jpeg', '.jfif'], test: b => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { format: 'GIF', label: 'a GIF image', kind: 'image', extensions: ['.gif'], test: b => ascii(b, 0, 'GIF8') },
+  { format: 'BMP', label: 'a BMP image', kind: 'image', extensions: ['.bmp'], test: b => ascii(b, 0, 'BM') },
+  { format: 'PDF', label: 'a PDF document', kind: 'document', extensions: ['.pdf'], test: b => ascii(b, 0, '%PDF') },
+  { format: 'ZIP', label: 'a ZIP archive', kind: 'archive', extensions: ['.zip'], test: b => startsWith(b, [0x50, 0x4b, 0x03, 0x04]) },
+];
+
+// Extensions for which a missing signature means the content is not what the name claims
+const SNIFFABLE_EXTENSIONS = new Set(SIGNATURES.flatMap(signature => signature.extensions));
+
+// Returns { format, label, kind, extensions } for a recognized header, or null
+export async function sniffFileType(file) {
+  const bytes = new Uint8Array(await file.slice(0, HEADER_LENGTH).arrayBuffer());
+  const signature = SIGNATURES.find(candidate => candidate.test(bytes));
+  if (!signature) return null;
+  const { test, ...type } = signature;
+  return type;
+}
+
+export function isSniffableExtension(extension) {
+  return SNIFFABLE_EXTENSIONS.has(extension);
+}
@@ -0,0 +1,48 @@
+import { isSniffableExtension, sniffFileType } from './fileSignature';
+
+// jsdom's Blob cannot be read back, so files are stood in for by what sniffing uses
+const fileOf = (bytes, name = 'upload.bin') => {
+  const data = new Uint8Array(bytes);
+  return {
+    name,
+    size: data.length,
+    slice: (start, end) => ({ arrayBuffer: async () => data.slice(start, end).buffer }),
+  };
+};
+const ascii = text => Array.from(text, char => char.charCodeAt(0));
+
+const WAV_HEADER = [...ascii('RIFF'), 0x24, 0, 0, 0, ...ascii('WAVE'), ...ascii('fmt ')];
+const PNG_HEADER = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d, ...ascii('IHDR')];
+
+describe('sniffFileType', () => {
+  it('recognizes formats from their leading bytes', async () => {
+    expect((await sniffFileType(fileOf(WAV_HEADER))).format).toBe('WAV');
+    expect((await sniffFileType(fileOf(PNG_HEADER))).format).toBe('PNG');
+    expect((await sniffFileType(fileOf([0xff, 0xd8, 0xff, 0xe0]))).format).toBe('JPEG');
+    expect((await sniffFileType(fileOf([...ascii('ID3'), 4, 0]))).format).toBe('MP3');
+  });
+
+  it('tells M4A audio apart from MP4 video by the brand', async () => {
+    const m4a = await sniffFileType(fileOf([0, 0, 0, 0x20, ...ascii('ftypM4A '), 0, 0, 0, 0]));
+    const mp4 = await sniffFileType(fileOf([0, 0, 0, 0x20, ...ascii('ftypisom'), 0, 0, 0, 0]));
+    expect(m4a).toMatchObject({ format: 'M4A', kind: 'audio' });
+    expect(mp4).toMatchObject({ format: 'MP4', kind: 'video' });
+  });
+
+  it('goes by the content, not the name', async () => {
+    expect(await sniffFileType(fileOf(PNG_HEADER, 'voice.wav'))).toMatchObject({ format: 'PNG', kind: 'image' });
+  });
+
+  it('does not recognize a truncated header', async () => {
+    expect(await sniffFileType(fileOf(ascii('RIFF')))).toBeNull();
+    expect(await sniffFileType(fileOf([0x89, 0x50, 0x4e]))).toBeNull();
+    expect(await sniffFileType(fileOf([]))).toBeNull();
+  });
+});
+
+describe('isSniffableExtension', () => {
+  it('is true only for extensions with a known signature', () => {
+    expect(isSniffableExtension('.wav')).toBe(true);
+    expect(isSniffableExtension('.tiff')).toBe(false);
+  });
+});
@@ -0,0 +1,216 @@
+// Optional client-side image preprocessing before upload: downscaling to the
+// size the backend works with, and removing EXIF/GPS and other metadata.
+// Metadata is removed losslessly for JPEG and PNG; pixels are only
+// re-encoded when the image is downscaled or in another format. The JPEG
+// Orientation tag is kept so both paths deliver the image upright.
+
+export const DEFAULT_MAX_IMAGE_DIMENSION = 2048;
+
+const JPEG_QUALITY = 0.95;
+
+// JPEG marker segments that only carry metadata
+const JPEG_METADATA_MARKERS = {
+  0xe1: 'EXIF/XMP', // APP1
+  0xed: 'IPTC', // APP13
+  0xfe: 'Comment', // COM
+};
+
+// PNG ancillary chunks that only carry metadata
+const PNG_METADATA_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'];
+
+const GPS_IFD_TAG = 0x8825;
+const ORIENTATION_TAG = 0x0112;
+
+// Value of a tag in IFD0 of an EXIF payload (starting with "Exif\0\0"): the
+// first SHORT of the entry's value field, or null when the tag is missing
+function readIfd0Tag(bytes, start, tag) {
+  const tiff = start + 6;
+  const little = bytes[tiff] === 0x49;
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const read16 = offset => view.getUint16(offset, little);
+  const read32 = offset => view.getUint32(offset, little);
+  try {
+    const ifd = tiff + read32(tiff + 4);
+    const entries = read16(ifd);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (read16(entry) === tag) return read16(entry + 8);
+    }
+  } catch {
+    // Truncated EXIF; treat the tag as missing
+  }
+  return null;
+}
+
+// APP1 segment whose EXIF holds nothing but the Orientation tag, so rotated
+// photos are shown the same way as when they are downscaled (createImageBitmap
+// applies the orientation to the pixels)
+function createOrientationSegment(orientation) {
+  const segment = new Uint8Array(36);
+  const view = new DataView(segment.buffer);
+  view.setUint16(0, 0xffe1); // APP1
+  view.setUint16(2, segment.length - 2);
+  segment.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4); // "Exif\0\0"
+  segment.set([0x4d, 0x4d, 0, 0x2a], 10); // Big-endian TIFF header
+  view.setUint32(14, 8); // IFD0 right after the header
+  view.setUint16(18, 1); // One entry
+  view.setUint16(20, ORIENTATION_TAG);
+  view.setUint16(22, 3); // SHORT
+  view.setUint32(24, 1); // Count
+  view.setUint16(28, orientation);
+  view.setUint32(32, 0); // No next IFD
+  return segment;
+}
+
+function stripJpegMetadata(bytes) {
+  const kept = [bytes.subarray(0, 2)]; // SOI
+  const removed = new Set();
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    // Start of scan: the rest is image data
+    if (marker === 0xda) break;
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const end = offset + 2 + length;
+
+    if (JPEG_METADATA_MARKERS[marker]) {
+      const isExif = marker === 0xe1 && String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === 'Exif';
+      removed.add(isExif ? 'EXIF' : JPEG_METADATA_MARKERS[marker]);
+      if (isExif) {
+        if (readIfd0Tag(bytes, offset + 4, GPS_IFD_TAG) !== null) removed.add('GPS');
+        const orientation = readIfd0Tag(bytes, offset + 4, ORIENTATION_TAG);
+        if (orientation > 1 && orientation <= 8) kept.push(createOrientationSegment(orientation));
+      }
+    } else {
+      kept.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+  kept.push(bytes.subarray(offset));
+  return { blobParts: kept, removed: [...removed] };
+}
+
+function stripPngMetadata(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  const kept = [bytes.subarray(0, 8)]; // Signature
+  const removed = new Set();
+  let offset = 8;
+
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (PNG_METADATA_CHUNKS.includes(type)) {
+      removed.add(type === 'eXIf' ? 'EXIF' : 'Text metadata');
+    } else {
+      kept.push(bytes.subarray(offset, end));
+    }
+    offset = end;
+  }
+  return { blobParts: kept, removed: [...removed] };
+}
+
+async function stripMetadata(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) return stripJpegMetadata(bytes);
+  if (bytes[0] === 0x89 && bytes[1] === 0x50) return stripPngMetadata(bytes);
+  return null;
+}
+
+function canvasToBlob(canvas, type) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Image could not be encoded'))),
+      type,
+      JPEG_QUALITY
+    );
+  });
+}
+
+// Draw the image onto a canvas at the given size and encode it again. Canvas
+// output never carries the source metadata.
+async function reencode(file, bitmap, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+
+  const type = ['image/jpeg', 'image/png', 'image/webp'].includes(file.type) ? file.type : 'image/png';
+  const blob = await canvasToBlob(canvas, type);
+  const extension = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp' }[type];
+  const name = file.name.replace(/\.[^.]+$/, '') + extension;
+  return new File([blob], name, { type });
+}
+
+// Resolves with { file, changes } where `changes` describes what was done,
+// or is null when the file is sent as is. Formats other than JPEG and PNG
+// are re-encoded to remove their metadata; images the browser cannot decode
+// are sent unchanged with a `note` saying so.
+export async function preprocessImage(file, { downscale, stripMetadata: strip, maxDimension }) {
+  if (!file.type.startsWith('image/') || (!downscale && !strip)) {
+    return { file, changes: null };
+  }
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    // e.g. TIFF in Chrome; the backend may still accept it
+    const original = { width: null, height: null, size: file.size };
+    return {
+      file,
+      changes: {
+        original,
+        output: original,
+        resized: false,
+        metadata_removed: [],
+        note: 'This browser cannot decode the image, so it was sent unchanged, including any metadata',
+      },
+    };
+  }
+
+  const limit = maxDimension || DEFAULT_MAX_IMAGE_DIMENSION;
+  const original = { width: bitmap.width, height: bitmap.height, size: file.size };
+  const scale = downscale ? Math.min(1, limit / Math.max(bitmap.width, bitmap.height)) : 1;
+  const canStripLosslessly = ['image/jpeg', 'image/png'].includes(file.type);
+
+  if (scale < 1 || (strip && !canStripLosslessly)) {
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+    const output = await reencode(file, bitmap, width, height).finally(() => bitmap.close());
+    return {
+      file: output,
+      changes: {
+        original,
+        output: { width, height, size: output.size },
+        resized: scale < 1,
+        ...(scale < 1 && { max_dimension: limit }),
+        metadata_removed: ['All (re-encoded)'],
+      },
+    };
+  }
+  bitmap.close();
+
+  if (!strip) {
+    return { file, changes: null };
+  }
+
+  const stripped = await stripMetadata(file);
+  if (!stripped) {
+    return {
+      file,
+      changes: { original, output: original, resized: false, metadata_removed: [], note: 'The file content does not match its image type, so metadata was not removed' },
+    };
+  }
+  const output = new File(stripped.blobParts, file.name, { type: file.type });
+  return {
+    file: output,
+    changes: {
+      original,
+      output: { width: original.width, height: original.height, size: output.size },
+      resized: false,
+      metadata_removed: stripped.removed,
+    },
+  };
+}
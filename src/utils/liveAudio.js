@@ -0,0 +1,110 @@
+// Continuous microphone capture for live monitoring. An AudioWorklet hands
+// raw PCM blocks to the page, which MediaRecorder cannot do without
+// finishing the recording first.
+
+import { getAudioContextClass, getRms } from './audio';
+import { DetectionResult } from '../types/api';
+
+const CAPTURE_PROCESSOR = 'deepguard-capture';
+const BLOCK_SIZE = 2048; // Samples per message; the worklet itself runs on 128
+
+export const LIVE_WINDOW_SECONDS = 3;
+export const LIVE_HOP_SECONDS = 1.5; // A new window every hop, so consecutive windows overlap by half
+
+export const defaultLiveMonitor = {
+  alertAfter: 3, // Consecutive fake windows before alerting
+  soundAlert: true,
+};
+
+// Loaded from a Blob URL so no separate file has to be served
+const WORKLET_SOURCE = `
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.block = new Float32Array(${BLOCK_SIZE});
+    this.filled = 0;
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (channel) {
+      let offset = 0;
+      while (offset < channel.length) {
+        const count = Math.min(channel.length - offset, this.block.length - this.filled);
+        this.block.set(channel.subarray(offset, offset + count), this.filled);
+        this.filled += count;
+        offset += count;
+        if (this.filled === this.block.length) {
+          this.port.postMessage(this.block.slice());
+          this.filled = 0;
+        }
+      }
+    }
+    return true;
+  }
+}
+registerProcessor('${CAPTURE_PROCESSOR}', CaptureProcessor);
+`;
+
+// Feed mono blocks of `stream` to `onSamples(samples, level)`, with `level`
+// the block's RMS scaled for a meter. Resolves with { sampleRate, context, stop }.
+export async function startLiveCapture(stream, onSamples) {
+  const AudioContextClass = getAudioContextClass();
+  const context = new AudioContextClass();
+  const moduleUrl = URL.createObjectURL(new Blob([WORKLET_SOURCE], { type: 'application/javascript' }));
+  try {
+    await context.audioWorklet.addModule(moduleUrl);
+  } catch (error) {
+    context.close();
+    throw error;
+  } finally {
+    URL.revokeObjectURL(moduleUrl);
+  }
+
+  const source = context.createMediaStreamSource(stream);
+  const node = new AudioWorkletNode(context, CAPTURE_PROCESSOR);
+  node.port.onmessage = (event) => {
+    // Scale RMS so normal speech fills most of the meter
+    onSamples(event.data, Math.min(1, getRms(event.data) * 4));
+  };
+  source.connect(node);
+  // Some browsers only run nodes that reach the output; this one writes silence
+  node.connect(context.destination);
+
+  return {
+    sampleRate: context.sampleRate,
+    context,
+    stop: () => {
+      node.port.onmessage = null;
+      source.disconnect();
+      node.disconnect();
+      context.close();
+    },
+  };
+}
+
+// Short beep through `context`, e.g. when live monitoring raises an alert
+export function playAlertTone(context) {
+  if (!context || context.state === 'closed') return;
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  oscillator.frequency.value = 880;
+  gain.gain.setValueAtTime(0.2, context.currentTime);
+  gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + 0.4);
+  oscillator.connect(gain).connect(context.destination);
+  oscillator.start();
+  oscillator.stop(context.currentTime + 0.4);
+}
+
+// Number of most recent scored windows classified fake in a row. Windows
+// still waiting on the backend, or that failed, neither count nor break a run.
+export function countConsecutiveFakes(windows) {
+  let count = 0;
+  for (let i = windows.length - 1; i >= 0; i--) {
+    const { detection_result: result } = windows[i];
+    if (!result) continue;
+    if (result !== DetectionResult.FAKE) break;
+    count++;
+  }
+  return count;
+}
@@ -0,0 +1,159 @@
+// Mel spectrogram computed in the browser, for inspecting the audio behind a
+// verdict. Expects mono samples, e.g. from resampleAudio in utils/audio.
+
+const FFT_SIZE = 512;
+const MIN_HOP = 160; // 10ms at 16 kHz
+const MEL_BANDS = 80;
+const DYNAMIC_RANGE_DB = 80;
+const FRAMES_PER_YIELD = 500;
+
+export const MAX_COLUMNS = 16384; // Longer audio uses a larger hop so the image stays drawable
+
+export function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+function melToHz(mel) {
+  return 700 * (10 ** (mel / 2595) - 1);
+}
+
+// Triangular filters spaced evenly on the mel scale, as [{ start, weights }] over FFT bins
+function createMelFilterbank(sampleRate, bands) {
+  const bins = FFT_SIZE / 2 + 1;
+  const maxMel = hzToMel(sampleRate / 2);
+  const edges = Array.from({ length: bands + 2 }, (_, i) => {
+    const hz = melToHz((i / (bands + 1)) * maxMel);
+    return Math.min(bins - 1, Math.floor((hz / (sampleRate / 2)) * (bins - 1)));
+  });
+
+  return Array.from({ length: bands }, (_, band) => {
+    const [left, center, right] = [edges[band], edges[band + 1], edges[band + 2]];
+    const weights = [];
+    for (let bin = left; bin <= right; bin++) {
+      if (bin <= center) {
+        weights.push(center === left ? 1 : (bin - left) / (center - left));
+      } else {
+        weights.push(right === center ? 1 : (right - bin) / (right - center));
+      }
+    }
+    return { start: left, weights };
+  });
+}
+
+// In-place iterative radix-2 FFT
+function fft(real, imag) {
+  const n = real.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = real[b] * cos - imag[b] * sin;
+        const ti = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
+      }
+    }
+  }
+}
+
+// Resolves with { values, frames, bands, hopSeconds, sampleRate } where
+// `values` holds frames x bands levels in 0-1 (the top DYNAMIC_RANGE_DB dB),
+// band 0 being the lowest. Yields to the event loop between batches so the
+// page stays responsive on long files.
+export async function computeMelSpectrogram(samples, sampleRate, { bands = MEL_BANDS } = {}) {
+  const hop = Math.max(MIN_HOP, Math.ceil(samples.length / MAX_COLUMNS));
+  const frames = Math.max(1, Math.floor((samples.length - FFT_SIZE) / hop) + 1);
+  const filters = createMelFilterbank(sampleRate, bands);
+  const hann = Float32Array.from({ length: FFT_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FFT_SIZE));
+  const levels = new Float32Array(frames * bands);
+  const real = new Float32Array(FFT_SIZE);
+  const imag = new Float32Array(FFT_SIZE);
+  let peak = -Infinity;
+
+  for (let frame = 0; frame < frames; frame++) {
+    const offset = frame * hop;
+    for (let i = 0; i < FFT_SIZE; i++) {
+      real[i] = (samples[offset + i] || 0) * hann[i];
+      imag[i] = 0;
+    }
+    fft(real, imag);
+
+    for (let band = 0; band < bands; band++) {
+      const { start, weights } = filters[band];
+      let energy = 0;
+      for (let i = 0; i < weights.length; i++) {
+        const bin = start + i;
+        energy += weights[i] * (real[bin] * real[bin] + imag[bin] * imag[bin]);
+      }
+      const db = 10 * Math.log10(energy + 1e-10);
+      levels[frame * bands + band] = db;
+      if (db > peak) peak = db;
+    }
+
+    if (frame % FRAMES_PER_YIELD === FRAMES_PER_YIELD - 1) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  const floor = peak - DYNAMIC_RANGE_DB;
+  for (let i = 0; i < levels.length; i++) {
+    levels[i] = Math.max(0, (levels[i] - floor) / DYNAMIC_RANGE_DB);
+  }
+
+  return { values: levels, frames, bands, hopSeconds: hop / sampleRate, sampleRate };
+}
+
+// Dark-to-bright color ramp (black, purple, orange, pale yellow) for a 0-1 level
+const COLOR_STOPS = [
+  [0, 0, 4],
+  [81, 18, 124],
+  [183, 55, 121],
+  [252, 137, 97],
+  [252, 253, 191],
+];
+
+function levelToColor(level) {
+  const position = level * (COLOR_STOPS.length - 1);
+  const index = Math.min(COLOR_STOPS.length - 2, Math.floor(position));
+  const t = position - index;
+  const [from, to] = [COLOR_STOPS[index], COLOR_STOPS[index + 1]];
+  return [0, 1, 2].map(channel => from[channel] + (to[channel] - from[channel]) * t);
+}
+
+// One pixel per frame and band, low frequencies at the bottom
+export function renderSpectrogram(spectrogram) {
+  const { values, frames, bands } = spectrogram;
+  const canvas = document.createElement('canvas');
+  canvas.width = frames;
+  canvas.height = bands;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(frames, bands);
+
+  for (let frame = 0; frame < frames; frame++) {
+    for (let band = 0; band < bands; band++) {
+      const [r, g, b] = levelToColor(values[frame * bands + band]);
+      const pixel = ((bands - 1 - band) * frames + frame) * 4;
+      image.data[pixel] = r;
+      image.data[pixel + 1] = g;
+      image.data[pixel + 2] = b;
+      image.data[pixel + 3] = 255;
+    }
+  }
+  context.putImageData(image, 0, 0);
+  return canvas;
+}
@@ -0,0 +1,184 @@
+// Client-side video analysis: frames are sampled in the browser and each one
+// is scored by the image model. This covers video until the backend ships a
+// native video model.
+
+import { DetectionResult } from '../types/api';
+import { UnsupportedFormatError } from '../services/errors';
+
+// Containers accepted for frame sampling; which codecs play depends on the browser
+export const VIDEO_EXTENSIONS = ['.mp4', '.webm', '.mov', '.m4v', '.avi'];
+
+export const defaultVideoSampling = {
+  framesPerSecond: 1,
+  maxFrames: 60, // Longer videos are sampled evenly across their length instead
+};
+
+const FRAME_MAX_DIMENSION = 1280; // Larger frames are scaled down before upload
+const FRAME_QUALITY = 0.92;
+const THUMBNAIL_WIDTH = 160;
+const TOP_FRAME_COUNT = 4;
+const SEEK_TIMEOUT = 10000;
+
+// The MIME type decides when there is a specific one: .webm and .mp4 also
+// hold audio-only clips
+export function isVideoFile(file) {
+  if (file.type && file.type !== 'application/octet-stream') return file.type.startsWith('video/');
+  const extension = '.' + (file.name || '').split('.').pop().toLowerCase();
+  return VIDEO_EXTENSIONS.includes(extension);
+}
+
+// Resolves once `event` fires on the element, rejects on a media error or timeout
+function waitFor(video, event, timeout) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      video.removeEventListener(event, handleEvent);
+      video.removeEventListener('error', handleError);
+    };
+    const handleEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const handleError = () => {
+      cleanup();
+      reject(new UnsupportedFormatError('This browser cannot decode the video.', {
+        remediation: 'Convert the video to MP4 (H.264) or WebM, which browsers can play, and upload it again.',
+      }));
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new UnsupportedFormatError('The video took too long to load.'));
+    }, timeout);
+    video.addEventListener(event, handleEvent);
+    video.addEventListener('error', handleError);
+  });
+}
+
+// Seconds at which frames are taken: one every 1/fps seconds from the middle
+// of the first interval, or `maxFrames` spread evenly when that is too many
+export function getSampleTimes(duration, { framesPerSecond, maxFrames }) {
+  const wanted = Math.max(1, Math.floor(duration * framesPerSecond));
+  const count = Math.min(wanted, maxFrames);
+  const interval = duration / count;
+  return Array.from({ length: count }, (_, i) => (i + 0.5) * interval);
+}
+
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Video frame could not be encoded'))),
+      'image/jpeg',
+      FRAME_QUALITY
+    );
+  });
+}
+
+function drawFrame(video, width) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = Math.round((video.videoHeight / video.videoWidth) * width);
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+// Seek through the video and call `onFrame(frame, info)` for each sampled
+// frame, waiting for it before moving on. `frame` is { index, time, file,
+// thumbnail } with `file` a JPEG and `thumbnail` a small data URL; `info` is
+// { duration, width, height, frameCount }.
+export async function sampleVideoFrames(file, sampling, onFrame, signal) {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.preload = 'auto';
+  video.playsInline = true;
+
+  try {
+    const loaded = waitFor(video, 'loadeddata', SEEK_TIMEOUT);
+    video.src = url;
+    await loaded;
+
+    // Some recordings (e.g. from MediaRecorder) report an infinite duration
+    // until the end has been seeked to once
+    if (!Number.isFinite(video.duration)) {
+      const seeked = waitFor(video, 'seeked', SEEK_TIMEOUT);
+      video.currentTime = Number.MAX_SAFE_INTEGER;
+      await seeked;
+    }
+
+    const { duration, videoWidth: width, videoHeight: height } = video;
+    if (!duration || !width) {
+      throw new UnsupportedFormatError('The video has no frames that can be analyzed.');
+    }
+    const times = getSampleTimes(duration, sampling);
+    const info = { duration, width, height, frameCount: times.length };
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+
+    for (let index = 0; index < times.length; index++) {
+      if (signal?.aborted) return info;
+      const seeked = waitFor(video, 'seeked', SEEK_TIMEOUT);
+      video.currentTime = times[index];
+      await seeked;
+
+      const blob = await canvasToBlob(drawFrame(video, Math.min(width, FRAME_MAX_DIMENSION)));
+      const frameName = `${baseName}-frame-${String(index + 1).padStart(4, '0')}.jpg`;
+      await onFrame({
+        index,
+        time: times[index],
+        file: new File([blob], frameName, { type: 'image/jpeg' }),
+        thumbnail: drawFrame(video, THUMBNAIL_WIDTH).toDataURL('image/jpeg', 0.7),
+      }, info);
+    }
+    return info;
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Shares of frames above the threshold that make the verdict fake or uncertain
+const FAKE_FRAME_SHARE = 0.5;
+const UNCERTAIN_FRAME_SHARE = 0.2;
+
+// Overall verdict from per-frame fake probabilities, against the calibration
+// `threshold` and `uncertaintyRange` as for audio segments. Manipulation is
+// often limited to part of a video, so a sizeable share of frames above the
+// threshold makes the verdict uncertain or fake even when the mean stays low.
+// Without frames there is nothing to go on, and the verdict is uncertain.
+export function aggregateFrames(frames, { threshold, uncertaintyRange }) {
+  if (!frames.length) {
+    return {
+      detection_result: DetectionResult.UNCERTAIN,
+      mean_fake_probability: null,
+      max_fake_probability: null,
+      fake_frame_share: 0,
+    };
+  }
+
+  const probabilities = frames.map(frame => frame.fake_probability);
+  const mean = probabilities.reduce((total, value) => total + value, 0) / probabilities.length;
+  const max = Math.max(...probabilities);
+  const fakeShare = probabilities.filter(probability => probability >= threshold).length / probabilities.length;
+
+  let detectionResult = DetectionResult.REAL;
+  if (fakeShare >= FAKE_FRAME_SHARE || mean >= threshold + uncertaintyRange / 2) {
+    detectionResult = DetectionResult.FAKE;
+  } else if (fakeShare >= UNCERTAIN_FRAME_SHARE || Math.abs(mean - threshold) < uncertaintyRange / 2) {
+    detectionResult = DetectionResult.UNCERTAIN;
+  }
+
+  return {
+    detection_result: detectionResult,
+    mean_fake_probability: mean,
+    max_fake_probability: max,
+    fake_frame_share: fakeShare,
+  };
+}
+
+// Indices of the frames most likely to be fake, highest first
+export function getTopFrames(frames, count = TOP_FRAME_COUNT) {
+  return [...frames]
+    .sort((a, b) => b.fake_probability - a.fake_probability)
+    .slice(0, count)
+    .map(frame => frame.index);
+}
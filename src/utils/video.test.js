@@ -0,0 +1,58 @@
+import { aggregateFrames, isVideoFile } from './video';
+import { DetectionResult } from '../types/api';
+
+const calibration = { threshold: 0.5, uncertaintyRange: 0.1 };
+const framesOf = probabilities => probabilities.map((fake_probability, index) => ({ index, fake_probability }));
+
+describe('aggregateFrames', () => {
+  it('is uncertain without frames', () => {
+    expect(aggregateFrames([], calibration)).toEqual({
+      detection_result: DetectionResult.UNCERTAIN,
+      mean_fake_probability: null,
+      max_fake_probability: null,
+      fake_frame_share: 0,
+    });
+  });
+
+  it('is real when the mean is below the band and few frames are above the threshold', () => {
+    const aggregate = aggregateFrames(framesOf([0.1, 0.2, 0.1, 0.3, 0.2]), calibration);
+    expect(aggregate.detection_result).toBe(DetectionResult.REAL);
+    expect(aggregate.mean_fake_probability).toBeCloseTo(0.18);
+    expect(aggregate.max_fake_probability).toBe(0.3);
+  });
+
+  it('is uncertain when the mean is inside the band', () => {
+    expect(aggregateFrames(framesOf([0.46, 0.47, 0.48, 0.49, 0.49, 0.52]), calibration).detection_result)
+      .toBe(DetectionResult.UNCERTAIN);
+  });
+
+  it('is uncertain when a fifth of the frames are above the threshold', () => {
+    expect(aggregateFrames(framesOf([0.9, 0.1, 0.1, 0.1, 0.1]), calibration).detection_result)
+      .toBe(DetectionResult.UNCERTAIN);
+  });
+
+  it('is fake when half the frames are above the threshold', () => {
+    const aggregate = aggregateFrames(framesOf([0.9, 0.8, 0.1, 0.1]), calibration);
+    expect(aggregate.detection_result).toBe(DetectionResult.FAKE);
+    expect(aggregate.fake_frame_share).toBe(0.5);
+  });
+
+  it('uses the configured threshold', () => {
+    const frames = framesOf([0.35, 0.4, 0.3, 0.38]);
+    expect(aggregateFrames(frames, calibration).detection_result).toBe(DetectionResult.REAL);
+    expect(aggregateFrames(frames, { threshold: 0.2, uncertaintyRange: 0.1 }).detection_result).toBe(DetectionResult.FAKE);
+  });
+});
+
+describe('isVideoFile', () => {
+  it('follows a specific MIME type over the extension', () => {
+    expect(isVideoFile({ name: 'call.webm', type: 'audio/webm' })).toBe(false);
+    expect(isVideoFile({ name: 'clip.webm', type: 'video/webm' })).toBe(true);
+  });
+
+  it('falls back to the extension for missing or generic types', () => {
+    expect(isVideoFile({ name: 'clip.MOV', type: '' })).toBe(true);
+    expect(isVideoFile({ name: 'clip.mp4', type: 'application/octet-stream' })).toBe(true);
+    expect(isVideoFile({ name: 'voice.m4a', type: '' })).toBe(false);
+  });
+});